@@ -0,0 +1,294 @@
+// The schema as of the first migration. It creates every table on an empty
+// database, and brings a database set up with the old SQL scripts (with any of
+// the alter_*.sql scripts applied or not) to the same state, so existing
+// projects start with `npm run migrate -- up` like new ones.
+
+module.exports = {
+  postgres: String.raw`
+-- Shared trigger function for updated_at columns
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Results: one row per consumer
+CREATE TABLE IF NOT EXISTS public.tgspdcl_automation_data (
+    id BIGSERIAL PRIMARY KEY,
+    service_no TEXT,
+    unique_service_no TEXT,
+    customer_name TEXT,
+    address TEXT,
+    ero TEXT,
+    mobile TEXT,
+    bill_amount NUMERIC(12, 2),
+    bill_currency TEXT,
+    bill_amount_source TEXT CHECK (bill_amount_source IN ('current_month_bill', 'total_amount_payable', 'page_fallback')),
+    bill_amount_text TEXT,
+    bill_date DATE,
+    due_date DATE,
+    fetch_status TEXT,
+    search_info JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    remarks TEXT,
+    status TEXT DEFAULT 'PENDING',
+    CONSTRAINT tgspdcl_automation_data_unique_service_no_key UNIQUE (unique_service_no)
+);
+
+ALTER TABLE public.tgspdcl_automation_data ADD COLUMN IF NOT EXISTS bill_amount_text TEXT;
+ALTER TABLE public.tgspdcl_automation_data ADD COLUMN IF NOT EXISTS bill_currency TEXT;
+ALTER TABLE public.tgspdcl_automation_data ADD COLUMN IF NOT EXISTS bill_amount_source TEXT
+    CHECK (bill_amount_source IN ('current_month_bill', 'total_amount_payable', 'page_fallback'));
+ALTER TABLE public.tgspdcl_automation_data ADD COLUMN IF NOT EXISTS bill_date DATE;
+ALTER TABLE public.tgspdcl_automation_data ADD COLUMN IF NOT EXISTS due_date DATE;
+ALTER TABLE public.tgspdcl_automation_data ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+-- Free-text bill amounts ("₹1,234.00", "Rs. 56") become numbers; the text is kept
+DO $$
+BEGIN
+    IF (SELECT data_type FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'tgspdcl_automation_data' AND column_name = 'bill_amount') = 'text' THEN
+        UPDATE public.tgspdcl_automation_data
+        SET bill_amount_text = bill_amount
+        WHERE bill_amount_text IS NULL AND bill_amount IS NOT NULL AND bill_amount <> 'Not Found';
+
+        ALTER TABLE public.tgspdcl_automation_data
+            ALTER COLUMN bill_amount TYPE NUMERIC(12, 2)
+            USING NULLIF(regexp_replace(substring(bill_amount FROM '[0-9][0-9,]*\.?[0-9]*'), '[,]|\.$', '', 'g'), '')::NUMERIC;
+
+        UPDATE public.tgspdcl_automation_data
+        SET bill_currency = 'INR'
+        WHERE bill_amount IS NOT NULL AND bill_currency IS NULL;
+    END IF;
+END $$;
+
+-- Earlier versions stored 'Success' / 'Failed' in fetch_status
+UPDATE public.tgspdcl_automation_data SET fetch_status = 'success' WHERE fetch_status = 'Success';
+
+ALTER TABLE public.tgspdcl_automation_data ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Enable all operations" ON public.tgspdcl_automation_data;
+CREATE POLICY "Enable all operations" ON public.tgspdcl_automation_data
+FOR ALL USING (true);
+
+CREATE INDEX IF NOT EXISTS idx_search_session ON public.tgspdcl_automation_data USING GIN (search_info);
+CREATE INDEX IF NOT EXISTS idx_service_no ON public.tgspdcl_automation_data (service_no);
+CREATE INDEX IF NOT EXISTS idx_fetch_status ON public.tgspdcl_automation_data (fetch_status);
+CREATE INDEX IF NOT EXISTS idx_created_at ON public.tgspdcl_automation_data (created_at);
+CREATE INDEX IF NOT EXISTS idx_updated_at ON public.tgspdcl_automation_data (updated_at);
+CREATE INDEX IF NOT EXISTS idx_bill_amount ON public.tgspdcl_automation_data (bill_amount);
+
+-- Bill history: one row per bill amount observed for a consumer
+CREATE TABLE IF NOT EXISTS public.bill_history (
+    id BIGSERIAL PRIMARY KEY,
+    unique_service_no TEXT NOT NULL,
+    service_no TEXT,
+    bill_amount NUMERIC(12, 2) NOT NULL,
+    bill_currency TEXT,
+    bill_amount_source TEXT,
+    bill_date DATE,
+    due_date DATE,
+    observed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE public.bill_history ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Enable all operations" ON public.bill_history;
+CREATE POLICY "Enable all operations" ON public.bill_history
+FOR ALL USING (true);
+
+CREATE INDEX IF NOT EXISTS idx_bill_history_unique_service_no ON public.bill_history (unique_service_no, observed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_bill_history_observed_at ON public.bill_history (observed_at);
+
+-- Results saved before upserts: keep every bill amount in bill_history, then
+-- remove duplicate consumers (keeping the latest row) and make unique_service_no unique
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'tgspdcl_automation_data_unique_service_no_key') THEN
+        UPDATE public.tgspdcl_automation_data SET unique_service_no = NULL WHERE unique_service_no IN ('', 'Not Found');
+
+        INSERT INTO public.bill_history (unique_service_no, service_no, bill_amount, bill_currency, bill_amount_source, bill_date, due_date, observed_at)
+        SELECT unique_service_no, service_no, bill_amount, bill_currency, bill_amount_source, bill_date, due_date, created_at
+        FROM public.tgspdcl_automation_data
+        WHERE unique_service_no IS NOT NULL AND bill_amount IS NOT NULL;
+
+        DELETE FROM public.tgspdcl_automation_data d
+        USING public.tgspdcl_automation_data newer
+        WHERE d.unique_service_no = newer.unique_service_no
+          AND (d.created_at, d.id) < (newer.created_at, newer.id);
+
+        ALTER TABLE public.tgspdcl_automation_data
+            ADD CONSTRAINT tgspdcl_automation_data_unique_service_no_key UNIQUE (unique_service_no);
+    END IF;
+END $$;
+
+-- Purge audit: what the retention job and erasure requests removed
+CREATE TABLE IF NOT EXISTS public.purge_audit (
+    id BIGSERIAL PRIMARY KEY,
+    action TEXT NOT NULL CHECK (action IN ('retention_purge', 'erasure')),
+    field_group TEXT,
+    rows_affected INTEGER NOT NULL DEFAULT 0,
+    actor TEXT,
+    service_no TEXT,
+    unique_service_no TEXT,
+    details JSONB,
+    performed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE public.purge_audit ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Enable all operations" ON public.purge_audit;
+CREATE POLICY "Enable all operations" ON public.purge_audit
+FOR ALL USING (true);
+
+-- Suppression list: consumers that are never looked up or stored
+CREATE TABLE IF NOT EXISTS public.suppressions (
+    id BIGSERIAL PRIMARY KEY,
+    service_no TEXT UNIQUE,
+    unique_service_no TEXT UNIQUE,
+    reason TEXT,
+    added_by TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (service_no IS NOT NULL OR unique_service_no IS NOT NULL)
+);
+
+ALTER TABLE public.suppressions ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Enable all operations" ON public.suppressions;
+CREATE POLICY "Enable all operations" ON public.suppressions
+FOR ALL USING (true);
+
+-- Circle codes: one row per job
+CREATE TABLE IF NOT EXISTS public.circle_codes (
+    id BIGSERIAL PRIMARY KEY,
+    circle_code TEXT NOT NULL,
+    digits_in_service_code INTEGER NOT NULL,
+    status TEXT DEFAULT 'PENDING',
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    total_services INTEGER,
+    successful_services INTEGER,
+    failed_services INTEGER,
+    outcome_counts JSONB,
+    lease_owner TEXT,
+    lease_expires_at TIMESTAMPTZ,
+    heartbeat_at TIMESTAMPTZ,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    range_start INTEGER CHECK (range_start >= 0),
+    range_end INTEGER CHECK (range_end >= 0),
+    last_completed_service INTEGER,
+    persist_fields TEXT[],
+    run_window TEXT,
+    remarks TEXT
+);
+
+ALTER TABLE public.circle_codes ADD COLUMN IF NOT EXISTS outcome_counts JSONB;
+ALTER TABLE public.circle_codes ADD COLUMN IF NOT EXISTS lease_owner TEXT;
+ALTER TABLE public.circle_codes ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ;
+ALTER TABLE public.circle_codes ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMPTZ;
+ALTER TABLE public.circle_codes ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE public.circle_codes ADD COLUMN IF NOT EXISTS range_start INTEGER CHECK (range_start >= 0);
+ALTER TABLE public.circle_codes ADD COLUMN IF NOT EXISTS range_end INTEGER CHECK (range_end >= 0);
+ALTER TABLE public.circle_codes ADD COLUMN IF NOT EXISTS last_completed_service INTEGER;
+ALTER TABLE public.circle_codes ADD COLUMN IF NOT EXISTS persist_fields TEXT[];
+ALTER TABLE public.circle_codes ADD COLUMN IF NOT EXISTS run_window TEXT;
+
+ALTER TABLE public.circle_codes DROP CONSTRAINT IF EXISTS circle_codes_status_check;
+ALTER TABLE public.circle_codes ADD CONSTRAINT circle_codes_status_check
+    CHECK (status IN ('PENDING', 'PROCESSING', 'PAUSED', 'COMPLETED', 'FAILED', 'CANCELLED'));
+ALTER TABLE public.circle_codes DROP CONSTRAINT IF EXISTS circle_codes_range_check;
+ALTER TABLE public.circle_codes ADD CONSTRAINT circle_codes_range_check
+    CHECK (range_start IS NULL OR range_end IS NULL OR range_start <= range_end);
+
+ALTER TABLE public.circle_codes ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Enable all operations" ON public.circle_codes;
+CREATE POLICY "Enable all operations" ON public.circle_codes
+FOR ALL USING (true);
+
+CREATE INDEX IF NOT EXISTS idx_circle_codes_status ON public.circle_codes (status);
+CREATE INDEX IF NOT EXISTS idx_circle_codes_created_at ON public.circle_codes (created_at);
+CREATE INDEX IF NOT EXISTS idx_circle_codes_circle_code ON public.circle_codes (circle_code);
+
+DROP TRIGGER IF EXISTS update_circle_codes_updated_at ON public.circle_codes;
+CREATE TRIGGER update_circle_codes_updated_at
+    BEFORE UPDATE ON public.circle_codes
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Run history: one row per attempt at a circle
+CREATE TABLE IF NOT EXISTS public.circle_runs (
+    id BIGSERIAL PRIMARY KEY,
+    circle_code_id BIGINT NOT NULL REFERENCES public.circle_codes (id) ON DELETE CASCADE,
+    circle_code TEXT NOT NULL,
+    worker_id TEXT,
+    attempt INTEGER,
+    status TEXT NOT NULL DEFAULT 'RUNNING',
+    range_start INTEGER,
+    range_end INTEGER,
+    last_service INTEGER,
+    processed INTEGER DEFAULT 0,
+    successful INTEGER DEFAULT 0,
+    failed INTEGER DEFAULT 0,
+    outcome_counts JSONB,
+    final_error TEXT,
+    started_at TIMESTAMPTZ DEFAULT NOW(),
+    finished_at TIMESTAMPTZ,
+    duration_ms BIGINT
+);
+
+ALTER TABLE public.circle_runs DROP CONSTRAINT IF EXISTS circle_runs_status_check;
+ALTER TABLE public.circle_runs ADD CONSTRAINT circle_runs_status_check
+    CHECK (status IN ('RUNNING', 'COMPLETED', 'FAILED', 'LEASE_LOST', 'ABANDONED', 'INTERRUPTED', 'PAUSED', 'CANCELLED'));
+
+ALTER TABLE public.circle_runs ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Enable all operations" ON public.circle_runs;
+CREATE POLICY "Enable all operations" ON public.circle_runs
+FOR ALL USING (true);
+
+CREATE INDEX IF NOT EXISTS idx_circle_runs_circle_code_id ON public.circle_runs (circle_code_id, started_at DESC);
+
+-- Atomically claims the next PENDING circle, or one whose lease has expired.
+-- Circles whose lease expired after p_max_attempts claims are marked FAILED.
+-- p_skip_ids are left alone, e.g. circles outside their run window.
+DROP FUNCTION IF EXISTS public.claim_circle_code(TEXT, INTEGER, INTEGER);
+CREATE OR REPLACE FUNCTION public.claim_circle_code(p_owner TEXT, p_lease_seconds INTEGER, p_max_attempts INTEGER, p_skip_ids BIGINT[] DEFAULT '{}')
+RETURNS SETOF public.circle_codes AS $$
+BEGIN
+    UPDATE public.circle_codes
+    SET status = 'FAILED', lease_owner = NULL, lease_expires_at = NULL,
+        remarks = 'Gave up after ' || attempts || ' attempts'
+    WHERE status = 'PROCESSING'
+      AND (lease_expires_at IS NULL OR lease_expires_at < NOW())
+      AND attempts >= p_max_attempts;
+
+    RETURN QUERY
+    UPDATE public.circle_codes c
+    SET status = 'PROCESSING',
+        lease_owner = p_owner,
+        lease_expires_at = NOW() + make_interval(secs => p_lease_seconds),
+        heartbeat_at = NOW(),
+        started_at = COALESCE(c.started_at, NOW()),
+        attempts = c.attempts + 1
+    WHERE c.id = (
+        SELECT id FROM public.circle_codes
+        WHERE (status = 'PENDING'
+           OR (status = 'PROCESSING' AND (lease_expires_at IS NULL OR lease_expires_at < NOW())))
+          AND NOT (id = ANY(p_skip_ids))
+        ORDER BY id
+        FOR UPDATE SKIP LOCKED
+        LIMIT 1
+    )
+    RETURNING c.*;
+END;
+$$ language 'plpgsql';
+`,
+
+  // Local files from before outcome codes and upserts
+  json(db) {
+    for (const row of db.tgspdcl_automation_data || []) {
+      if (row.fetch_status === 'Success') row.fetch_status = 'success';
+      if (row.unique_service_no === '' || row.unique_service_no === 'Not Found') row.unique_service_no = null;
+    }
+  }
+};
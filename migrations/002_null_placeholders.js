@@ -0,0 +1,19 @@
+// Lookups used to store 'Not Found' for cells the portal left empty; they are
+// real nulls now. Only plaintext values can be matched here: encrypted ones
+// are cleared by npm run pii:reencrypt.
+
+const FIELDS = ['customer_name', 'address', 'ero', 'mobile'];
+
+module.exports = {
+  postgres: FIELDS
+    .map((field) => `UPDATE public.tgspdcl_automation_data SET ${field} = NULL WHERE ${field} = 'Not Found';`)
+    .join('\n'),
+
+  json(db) {
+    for (const row of db.tgspdcl_automation_data || []) {
+      for (const field of FIELDS) {
+        if (row[field] === 'Not Found') row[field] = null;
+      }
+    }
+  }
+};
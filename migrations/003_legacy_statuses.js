@@ -0,0 +1,18 @@
+// Versions before outcome codes stored 'Success' or 'Failed' in fetch_status;
+// 001_baseline only mapped 'Success'. 'Failed' meant the lookup found no
+// consumer table (or gave up on an error) and stored no details, which is
+// what not_found records today.
+
+const LEGACY_STATUSES = { Success: 'success', Failed: 'not_found' };
+
+module.exports = {
+  postgres: Object.entries(LEGACY_STATUSES)
+    .map(([legacy, outcome]) => `UPDATE public.tgspdcl_automation_data SET fetch_status = '${outcome}' WHERE fetch_status = '${legacy}';`)
+    .join('\n'),
+
+  json(db) {
+    for (const row of db.tgspdcl_automation_data || []) {
+      if (Object.hasOwn(LEGACY_STATUSES, row.fetch_status)) row.fetch_status = LEGACY_STATUSES[row.fetch_status];
+    }
+  }
+};
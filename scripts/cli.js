@@ -0,0 +1,39 @@
+// Operator commands, using the same config (.env) and safeguards as the server.
+// lookup is a dry run: it prints what the portal returns for one service
+// number and writes nothing to the database.
+// Usage:
+//   npm run cli -- lookup <circle code> <service number> [--snapshot] [--show-pii] [--ignore-window]
+//   npm run cli -- enqueue <circle code> <digits> [--range-start N] [--range-end N] [--run-window "<cron>"] [--persist-fields a,b]
+//   npm run cli -- status [job id] [--status PENDING]
+//   npm run cli -- run
+const { loadConfig } = require('../src/config');
+const logger = require('../src/logger');
+const { createServices } = require('../src/services');
+const { COMMANDS, createCommands, parseCommandLine, runCommandLine } = require('../src/cli');
+const { schemaError } = require('../src/migrate');
+
+const USAGE = `Usage: npm run cli -- <${COMMANDS.join('|')}> [arguments] (see scripts/cli.js)`;
+
+const print = (value) => console.log(JSON.stringify(value, null, 2));
+
+async function main() {
+  const commandLine = parseCommandLine(process.argv.slice(2));
+  if (!COMMANDS.includes(commandLine.command)) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  const config = loadConfig();
+  const services = createServices({ config, logger });
+  const error = await schemaError(services.storage);
+  if (error) throw new Error(error);
+  const output = await runCommandLine(createCommands({ config, services, logger }), commandLine);
+  // run resolves once the engine has stopped, with nothing to print
+  if (commandLine.command !== 'run') print(output);
+}
+
+main().catch((error) => {
+  logger.error(`${error.message}${error.details ? `: ${error.details.join('; ')}` : ''}`);
+  process.exitCode = 1;
+});
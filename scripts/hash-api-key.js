@@ -0,0 +1,14 @@
+// Prints an API_KEYS entry for a new API key.
+// Usage: npm run api-key -- <name> <viewer|operator|admin> [existing key]
+const crypto = require('crypto');
+const { ROLES, hashApiKey } = require('../src/auth');
+
+const [name, role, existingKey] = process.argv.slice(2);
+if (!name || !ROLES.includes(role)) {
+  console.error(`Usage: npm run api-key -- <name> <${ROLES.join('|')}> [existing key]`);
+  process.exit(1);
+}
+
+const key = existingKey || crypto.randomBytes(32).toString('base64url');
+console.log(`API key (give this to the client, it is not stored): ${key}`);
+console.log(`API_KEYS entry: ${name}:${role}:${hashApiKey(key)}`);
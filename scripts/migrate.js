@@ -0,0 +1,48 @@
+// Applies or lists database migrations (see migrations/).
+// With STORAGE_BACKEND=supabase it connects to DATABASE_URL, the project's
+// Postgres connection string; with json it migrates LOCAL_DB_PATH.
+// Usage: npm run migrate -- <up|status>
+const { loadConfig } = require('../src/config');
+const logger = require('../src/logger');
+const { createStorage } = require('../src/storage');
+const { label, createMigrator, createPostgresTarget, createJsonTarget } = require('../src/migrate');
+
+const COMMANDS = ['up', 'status'];
+
+function createTarget(config) {
+  if (config.storage.backend !== 'supabase') return createJsonTarget({ storage: createStorage(config, logger) });
+  if (!config.storage.databaseUrl) {
+    throw new Error('Set DATABASE_URL to the Postgres connection string (Supabase: Project Settings > Database)');
+  }
+  return createPostgresTarget({ connectionString: config.storage.databaseUrl });
+}
+
+async function main() {
+  const [command] = process.argv.slice(2);
+  if (!COMMANDS.includes(command)) {
+    console.error(`Usage: npm run migrate -- <${COMMANDS.join('|')}>`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const target = createTarget(loadConfig());
+  const migrator = createMigrator({ target, logger });
+  try {
+    if (command === 'status') {
+      for (const migration of await migrator.status()) {
+        const appliedAt = migration.applied_at && new Date(migration.applied_at).toISOString();
+        console.log(`${label(migration)}  ${appliedAt ? `applied ${appliedAt}` : 'pending'}`);
+      }
+    } else {
+      const applied = await migrator.up();
+      logger.info(applied.length ? `Applied ${applied.length} migration(s) (${target.name})` : `Schema is up to date (${target.name})`);
+    }
+  } finally {
+    await target.close();
+  }
+}
+
+main().catch((error) => {
+  logger.error(`Migration failed: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,25 @@
+// Encrypts stored customer details with the current PII key.
+// Run after adding a new key to the front of PII_ENCRYPTION_KEYS (keep the old
+// one after it until this finishes), and once after enabling encryption to
+// encrypt rows saved in plaintext. It also replaces the 'Not Found' placeholders
+// older versions stored for missing customer details with nulls.
+// Usage: npm run pii:reencrypt
+const { loadConfig } = require('../src/config');
+const logger = require('../src/logger');
+const { createStorage } = require('../src/storage');
+const { createPiiCipher, reencryptResults } = require('../src/pii');
+
+async function main() {
+  const config = loadConfig();
+  const cipher = createPiiCipher(config.pii.encryptionKeys);
+  const storage = createStorage(config, logger);
+  logger.info(`Re-encrypting customer details with key "${cipher.currentKeyId}" (storage: ${storage.name})`);
+  const { updated, failed } = await reencryptResults({ storage, cipher, logger });
+  logger.info(`Done: ${updated} results re-encrypted, ${failed} failed`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main().catch((error) => {
+  logger.error(`Re-encryption failed: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -1,389 +1,99 @@
 const express = require('express');
-const puppeteer = require('puppeteer');
-const { createClient } = require('@supabase/supabase-js');
-const winston = require('winston');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
-require('dotenv').config();
-
-
-const userAgents = [
-  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
-  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4.1 Safari/605.1.15',
-  'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36',
-  'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:125.0) Gecko/20100101 Firefox/125.0'
-];
+const { loadConfig } = require('./src/config');
+const logger = require('./src/logger');
+const { createServices } = require('./src/services');
+const { installShutdownHandlers } = require('./src/shutdown');
+const { createJobsRouter } = require('./src/routes/jobs');
+const { createResultsRouter } = require('./src/routes/results');
+const { createSuppressionsRouter } = require('./src/routes/suppressions');
+const { createMetrics } = require('./src/metrics');
+const { schemaError } = require('./src/migrate');
+const { parseFieldAllowlist } = require('./src/field-allowlist');
+const { createAuth, corsOptions } = require('./src/auth');
 
 // Initialize Express app
 const app = express();
-const PORT = process.env.PORT || 3000;
+const config = loadConfig();
 
 // Middleware
 app.use(helmet());
 app.use(compression());
-app.use(cors());
+app.use(cors(corsOptions(config.auth.corsOrigins)));
 app.use(express.json());
 
-// Logger
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
-  transports: [
-    new winston.transports.File({ filename: 'error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'combined.log' }),
-    new winston.transports.Console({ format: winston.format.simple() })
-  ]
-});
-
-// Supabase Client
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_KEY;
-const supabase = createClient(supabaseUrl, supabaseKey);
-
-// Global State
-let isProcessing = false;
-
-// Puppeteer setup
-async function setupBrowser() {
-  try {
-    const browser = await puppeteer.launch({
-      headless: "new",
-      args: [
-        '--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage',
-        '--disable-gpu', '--disable-infobars', '--window-size=1920,1080',
-        '--no-zygote', '--single-process'
-      ]
-    });
-    logger.info('Browser setup completed');
-    return browser;
-  } catch (error) {
-    logger.error('Browser setup failed:', error);
-    throw error;
-  }
-}
-
-// Scraper for service details
-async function fetchServiceDetails(page, circleCode, serviceNumber) {
-    try {
-        await page.goto('https://tgsouthernpower.org/getUkscno', { waitUntil: 'domcontentloaded', timeout: 30000 });
-        await page.waitForSelector('#ukscno', { timeout: 15000 });
-        await page.type('#ukscno', `${circleCode} ${serviceNumber}`, { delay: 0 });
-        await Promise.all([
-            page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 25000 }).catch(() => null),
-            page.click('button[type="submit"]')
-        ]);
-        await page.waitForSelector('table', { timeout: 10000 }).catch(() => null);
-
-        const serviceDetails = await page.evaluate((cCode, sNum) => {
-            const rows = document.querySelectorAll('table tr');
-            for (const row of rows) {
-                const cells = row.querySelectorAll('td');
-                if (cells.length >= 6) {
-                    return {
-                        serviceNo: cells[0]?.textContent?.trim() || `${cCode} ${sNum}`,
-                        uniqueServiceNo: cells[1]?.textContent?.trim() || 'Not Found',
-                        customerName: cells[2]?.textContent?.trim() || 'Not Found',
-                        address: cells[3]?.textContent?.trim() || 'Not Found',
-                        ero: cells[4]?.textContent?.trim() || 'Not Found',
-                        mobile: cells[5]?.textContent?.trim() || 'Not Found',
-                        status: 'Success'
-                    };
-                }
-            }
-            return { status: 'Failed' };
-        }, circleCode, serviceNumber);
-        
-        if (serviceDetails.status !== 'Success') {
-            serviceDetails.serviceNo = `${circleCode} ${serviceNumber}`;
-        }
-        return serviceDetails;
-    } catch (error) {
-        logger.error(`Fetch Details Error for ${circleCode}-${serviceNumber}: ${error.message}`);
-        return { serviceNo: `${circleCode} ${serviceNumber}`, status: 'Failed' };
-    }
-}
-
-// **REPLACED FUNCTION** - Using the proven logic you provided
-async function fetchBillAmount(page, ukscno) {
-  try {
-    if (ukscno === 'Not Found') {
-      return 'Not Found';
-    }
-
-    await page.goto('https://tgsouthernpower.org/getBillAmount', {
-      waitUntil: 'domcontentloaded',
-      timeout: 30000
-    });
-
-    // Try multiple input selectors; fall back if not found
-    const candidateSelectors = [
-      '#ukscno',
-      "input[name='ukscno']",
-      "input[id*='ukscno' i]",
-      "input[id*='uksc' i]",
-      "input[type='text']"
-    ];
-    let inputSelector = null;
-    for (const sel of candidateSelectors) {
-      try {
-        await page.waitForSelector(sel, { timeout: 3000 });
-        inputSelector = sel;
-        break;
-      } catch {}
-    }
-    if (inputSelector) {
-      await page.click(inputSelector, { clickCount: 3 }).catch(() => {});
-      await page.type(inputSelector, ukscno, { delay: 0 });
-    } else {
-      // If input not found, try direct navigation to billing page with query params
-      const directUrls = [
-        `https://tgsouthernpower.org/billinginfo?ukscno=${encodeURIComponent(ukscno)}`,
-        `https://tgsouthernpower.org/billinginfo?uniqueServiceNo=${encodeURIComponent(ukscno)}`
-      ];
-      for (const url of directUrls) {
-        try {
-          await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
-          break;
-        } catch {}
-      }
-    }
-
-    // Find and click submit button
-    const submitButton = await page.$x("//button[contains(text(), 'Submit') or contains(text(), 'SUBMIT')]");
-    const navOrResults = Promise.race([
-      page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 25000 }).catch(() => null),
-      page.waitForFunction(() => {
-        const hasRows = document.querySelectorAll('table tr').length > 0;
-        const hasTable = document.querySelector('table') !== null;
-        const hasTds = document.querySelectorAll('td').length > 0;
-        return hasRows || hasTable || hasTds || /billinginfo/i.test(location.href);
-      }, { timeout: 25000 }).catch(() => null)
-    ]);
-    if (inputSelector && submitButton.length > 0) {
-      await Promise.all([
-        submitButton[0].click(),
-        navOrResults
-      ]);
-    } else if (inputSelector) {
-      await Promise.all([
-        page.keyboard.press('Enter'),
-        navOrResults
-      ]);
-    }
-
-    // Ensure we are on billinginfo page; if not, navigate directly as a fallback
-    try {
-      await page.waitForFunction(() => /billinginfo/i.test(location.href), { timeout: 5000 });
-    } catch {}
-    if (!/billinginfo/i.test(page.url())) {
-      try {
-        await page.goto(`https://tgsouthernpower.org/billinginfo?ukscno=${encodeURIComponent(ukscno)}`, {
-          waitUntil: 'domcontentloaded',
-          timeout: 30000
-        });
-      } catch {}
-    }
-    
-    await page.waitForSelector('table', { timeout: 4000 }).catch(() => null);
-
-    // Extract bill amount
-    let billAmount = 'Not Found';
-    billAmount = await page.evaluate(() => {
-        const norm = (s) => (s || '').replace(/\s+/g, ' ').trim();
-        const parseAmountText = (t) => {
-          const m = norm(t).match(/(₹|rs\.?\s*)?\s*([0-9][0-9,]*\.?[0-9]*)/i);
-          return m ? m[0].trim() : null;
-        };
-        const extractFromCells = (cells) => {
-          for (let i = cells.length - 1; i >= 0; i--) {
-            const amt = parseAmountText(cells[i].textContent);
-            if (amt) return amt;
-          }
-          return null;
-        };
-        const findByLabel = (regex) => {
-          const rows = Array.from(document.querySelectorAll('table tr'));
-          for (let i = 0; i < rows.length; i++) {
-            const row = rows[i];
-            const rowText = norm(row.textContent);
-            if (!regex.test(rowText)) continue;
-            // Try same row, then next 2 rows
-            for (let j = 0; j <= 2 && i + j < rows.length; j++) {
-                let amt = extractFromCells(Array.from(rows[i + j].querySelectorAll('td')));
-                if (amt) return amt;
-            }
-            break;
-          }
-          return null;
-        };
-
-        // 1) Strictly prefer Current Month Bill
-        let amt = findByLabel(/current\s*month\s*bill/i);
-        if (amt) return amt;
-        // 2) Fallback to Total Amount Payable
-        amt = findByLabel(/total\s*amount\s*payable/i);
-        if (amt) return amt;
-        // 3) Last resort: any visible ₹ on the page
-        const any = [...document.body.innerText.matchAll(/₹\s*[0-9][0-9,]*\.?[0-9]*/g)].map((m) => m[0].trim());
-        return any.length > 0 ? any[0] : 'Not Found';
-      });
-
-    return billAmount;
-  } catch (error) {
-    logger.error(`Error fetching bill amount for UKSCNO ${ukscno}:`, error);
-    return 'Not Found';
-  }
-}
-
-// Orchestrates a single lookup
-async function processService(page, circleCode, serviceNumber) {
-    const serviceDetails = await fetchServiceDetails(page, circleCode, serviceNumber);
-    let billAmount = 'Not Found';
-    if (serviceDetails.status === 'Success') {
-        billAmount = await fetchBillAmount(page, serviceDetails.uniqueServiceNo);
-    }
-    return { ...serviceDetails, billAmount, processedAt: new Date().toISOString() };
-}
+// API key authentication: viewer keys can read, operator keys can also manage
+// jobs, and admin keys see customer details unmasked
+const auth = createAuth({ keys: config.auth.apiKeys, logger });
 
-// Saves data to the database
-async function saveToSupabase(data) {
-  try {
-    if (process.env.SAVE_ONLY_SUCCESS === 'true' && data.status !== 'Success') {
-      return true;
-    }
-    const { error } = await supabase.from('tgspdcl_automation_data').insert([{
-      service_no: data.serviceNo, unique_service_no: data.uniqueServiceNo,
-      customer_name: data.customerName, address: data.address, ero: data.ero,
-      mobile: data.mobile, bill_amount: data.billAmount, fetch_status: data.status,
-      status: 'COMPLETED', search_info: { processed_at: data.processedAt }
-    }]);
-    if (error) throw error;
-    return true;
-  } catch (error) {
-    logger.error(`Supabase insert error: ${error.message}`);
-    return false;
-  }
-}
+// Prometheus metrics for GET /metrics, fed by the scraper and engine
+const metrics = createMetrics({ defaultMetrics: true });
 
-// Gets the next available task
-async function getNextPendingTask() {
-  try {
-    const { data, error } = await supabase.from('circle_codes').select('*').eq('status', 'PENDING').order('id', { ascending: true }).limit(1);
-    if (error) throw error;
-    return data?.[0] || null;
-  } catch (error) {
-    logger.error(`Error fetching next pending task: ${error.message}`);
-    return null;
-  }
-}
+// Storage, scraper, suppression list, automation engine and retention (see src/services.js)
+const { storage, suppressionList, engine, retention } = createServices({ config, logger, metrics });
+metrics.observeEngine(engine);
 
-// Updates the task status
-async function updateCircleCodeStatus(id, status) {
+// API Routes
+app.get('/', (req, res) => res.json({ message: 'Automation Backend', status: engine.state.status, isProcessing: engine.state.isProcessing }));
+app.get('/status', auth.requireRole('viewer'), (req, res) => res.json({
+  status: engine.state.status,
+  isProcessing: engine.state.isProcessing,
+  currentCircle: engine.state.currentCircle,
+  workerId: config.jobs.workerId,
+  engineRestarts: engine.state.restarts,
+  lastError: engine.state.lastError,
+  lastAlert: engine.state.lastAlert,
+  browser: engine.browsers.health(),
+  portal: engine.portal.health(),
+  schedule: engine.scheduleStatus()
+}));
+
+// Prometheus scrape endpoint; give the scraper a viewer key as its bearer token
+app.get('/metrics', auth.requireRole('viewer'), async (req, res, next) => {
   try {
-    const { error } = await supabase.from('circle_codes').update({ status }).eq('id', id);
-    if (error) throw error;
-    return true;
+    res.set('Content-Type', metrics.registry.contentType);
+    res.end(await metrics.registry.metrics());
   } catch (error) {
-    logger.error(`Error updating circle status for ${id}: ${error.message}`);
-    return false;
+    next(error);
   }
-}
-
-// Processes one full circle code, reusing the provided browser
-async function processCircleCode(circle, browser) {
-  const { circle_code, digits_in_service_code, id } = circle;
-  logger.info(`Processing circle code: ${circle_code} with ${digits_in_service_code} digits`);
-  
-  try {
-    await updateCircleCodeStatus(id, 'PROCESSING');
-    
-    const maxNumber = Math.pow(10, digits_in_service_code) - 1;
-    const startIndex = 0;
-    const endIndex = maxNumber;
-    logger.info(`Processing range: 00000 to ${'9'.repeat(digits_in_service_code)}`);
-    
-    let processedCount = 0, successCount = 0;
-    for (let i = startIndex; i <= endIndex; i++) {
-      const serviceNumber = i.toString().padStart(digits_in_service_code, '0');
-      let page = null;
-      try {
-        page = await browser.newPage();
-        await page.setDefaultNavigationTimeout(45000);
-        await page.setViewport({ width: 1920, height: 1080 });
-        await page.setUserAgent(userAgents[Math.floor(Math.random() * userAgents.length)]);
-        await page.setRequestInterception(true);
-        page.on('request', (req) => {
-          ['image', 'stylesheet', 'font', 'media'].includes(req.resourceType()) ? req.abort() : req.continue();
-        });
-        
-        const result = await processService(page, circle_code, serviceNumber);
-        if(result.status === 'Success') {
-            await saveToSupabase(result);
-            successCount++;
-        }
-        processedCount++;
+});
 
-        if (processedCount % 20 === 0) {
-          logger.info(`Progress: ${processedCount}/${endIndex+1} (${successCount} found) for circle ${circle_code}`);
-        }
-      } catch (error) {
-        logger.error(`Critical error in loop for ${circle_code}-${serviceNumber}: ${error.message}`);
-      } finally {
-        if (page) await page.close();
-        await new Promise(resolve => setTimeout(resolve, 1000 + Math.random() * 1500));
-      }
-    }
-    logger.info(`✅ Completed circle ${circle_code}`);
-    await updateCircleCodeStatus(id, 'COMPLETED');
-  } catch (error) {
-    logger.error(`Fatal error processing circle ${circle_code}: ${error.message}`);
-    await updateCircleCodeStatus(id, 'FAILED');
+// Circle jobs: create, list, pause, resume, cancel, retry
+app.use('/jobs', auth.requireRoleByMethod({ read: 'viewer', write: 'operator' }), createJobsRouter({
+  storage, logger, persistFields: parseFieldAllowlist(config.persistence.fields)
+}));
+
+// Stored lookups, with customer details masked for non-admin keys; erasure needs an operator key
+app.use('/results', auth.requireRoleByMethod({ read: 'viewer', write: 'operator' }), createResultsRouter({ storage, auth, retention, logger }));
+
+// Suppression list; entries name consumers, so even reading it needs an operator key
+app.use('/suppressions', auth.requireRole('operator'), createSuppressionsRouter({ storage, retention, list: suppressionList, logger }));
+
+// Start server, the retention schedule and the initial automation run, but
+// only on a database with every migration applied
+async function start() {
+  const error = await schemaError(storage);
+  if (error) {
+    logger.error(`Not starting: ${error}`);
+    process.exitCode = 1;
+    return;
   }
-}
 
-// Main automation function with a single browser instance
-async function runAutomation() {
-    logger.info('Automation engine started. Monitoring for tasks...');
-    
-    const browser = await setupBrowser(); // Launch browser ONCE
+  const purgeTask = retention.start();
+  const server = app.listen(config.port, () => {
+    logger.info(`Server running on port ${config.port} (storage: ${storage.name})`);
+    engine.runAutomation();
+  });
 
-    try {
-        // This loop runs forever
-        while (true) {
-            if (isProcessing) {
-                await new Promise(resolve => setTimeout(resolve, 60000));
-                continue;
-            }
-
-            const nextTask = await getNextPendingTask();
-
-            if (nextTask) {
-                isProcessing = true;
-                logger.info(`New task found: Circle ${nextTask.circle_code}. Starting processing.`);
-                await processCircleCode(nextTask, browser);
-                isProcessing = false;
-                logger.info(`Task for circle ${nextTask.circle_code} finished. Resuming monitoring.`);
-            } else {
-                logger.info('No pending tasks found. Waiting for 1 minute before checking again.');
-                await new Promise(resolve => setTimeout(resolve, 60000));
-            }
-        }
-    } catch (error) {
-        logger.error(`A critical error occurred in the automation cycle: ${error.message}`);
-    } finally {
-        if (browser) await browser.close();
-        logger.info('Automation engine shutting down.');
-    }
+  // Stop cleanly on SIGTERM / SIGINT, returning the current circle to PENDING
+  installShutdownHandlers({ engine, server, tasks: [purgeTask], logger, graceMs: config.shutdown.graceMs });
 }
 
-// API Routes
-app.get('/', (req, res) => res.json({ message: 'Automation Backend', status: 'running', isProcessing }));
-app.get('/status', (req, res) => res.json({ isProcessing }));
-
-
-// Start server and initial automation run
-app.listen(process.env.PORT || 3000, () => {
-  logger.info(`Server running on port ${process.env.PORT || 3000}`);
-  runAutomation();
-});
\ No newline at end of file
+// Anything else that stops startup, such as an invalid PURGE_SCHEDULE, is
+// reported like a pending migration
+start().catch((error) => {
+  logger.error(`Not starting: ${error.message}`);
+  process.exitCode = 1;
+});
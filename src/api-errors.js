@@ -0,0 +1,34 @@
+// Errors the REST API (and the operator CLI) report to the caller, and how
+// the routers turn them into JSON responses.
+
+// HTTP status for each reason an ApiError can have
+const HTTP_STATUS = { invalid: 400, not_found: 404, conflict: 409, storage: 503 };
+
+// A request that was rejected; reason is one of HTTP_STATUS's keys, details
+// an optional list of what was wrong
+class ApiError extends Error {
+  constructor(reason, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.reason = reason;
+    this.details = details;
+  }
+}
+
+// Returns a wrapper for async route handlers: ApiErrors become JSON error
+// responses, anything else is logged as "<label> API error" and answered 500
+function createHandler({ label, logger }) {
+  return (fn) => async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (error) {
+      if (!(error instanceof ApiError)) {
+        logger.error(`${label} API error: ${error.message}`);
+        return res.status(500).json({ error: 'Internal error' });
+      }
+      res.status(HTTP_STATUS[error.reason] || 500).json({ error: error.message, ...(error.details && { details: error.details }) });
+    }
+  };
+}
+
+module.exports = { HTTP_STATUS, ApiError, createHandler };
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+// Roles in increasing order of access: a viewer can read status and jobs,
+// an operator can also create and control jobs, and only an admin sees
+// customer details unmasked
+const ROLES = ['viewer', 'operator', 'admin'];
+
+// API keys are kept as SHA-256 hashes; the keys themselves are long random
+// strings (see scripts/hash-api-key.js), so a fast hash is enough
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key, 'utf8').digest('hex');
+}
+
+// Parses API_KEYS entries of the form name:role:sha256hex. Throws on a
+// malformed entry so a typo fails at startup rather than locking everyone out.
+function parseApiKeys(entries) {
+  return entries.map((entry) => {
+    const [name, role, hash, ...rest] = entry.split(':').map((part) => part.trim());
+    if (!name || !ROLES.includes(role) || !/^[0-9a-f]{64}$/i.test(hash || '') || rest.length > 0) {
+      throw new Error(`Invalid API_KEYS entry "${name || entry}": expected name:role:sha256, with role one of ${ROLES.join(', ')}`);
+    }
+    return { name, role, hash: Buffer.from(hash.toLowerCase(), 'hex') };
+  });
+}
+
+// The key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+function keyFromRequest(req) {
+  const header = req.get('authorization') || '';
+  const bearer = header.match(/^Bearer\s+(.+)$/i);
+  return (bearer ? bearer[1] : req.get('x-api-key') || '').trim() || null;
+}
+
+// API key authentication with role checks, as Express middleware.
+// keys are API_KEYS entries; with none configured every protected route answers 401.
+function createAuth({ keys = [], logger }) {
+  const apiKeys = parseApiKeys(keys);
+  if (apiKeys.length === 0) logger.warn('No API_KEYS configured; every route except GET / will answer 401');
+
+  // Finds the caller by comparing hashes in constant time
+  function identify(key) {
+    if (!key) return null;
+    const hash = Buffer.from(hashApiKey(key), 'hex');
+    const match = apiKeys.find((entry) => crypto.timingSafeEqual(entry.hash, hash));
+    return match ? { name: match.name, role: match.role } : null;
+  }
+
+  const hasRole = (caller, role) => ROLES.indexOf(caller.role) >= ROLES.indexOf(role);
+
+  // Lets the request through when the caller has at least this role;
+  // sets req.auth to { name, role }
+  function requireRole(role) {
+    return (req, res, next) => {
+      const caller = req.auth || identify(keyFromRequest(req));
+      if (!caller) {
+        logger.warn(`Rejected unauthenticated ${req.method} ${req.originalUrl} from ${req.ip}`);
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      req.auth = caller;
+      if (!hasRole(caller, role)) {
+        logger.warn(`Rejected ${req.method} ${req.originalUrl} for ${caller.name} (${caller.role}); needs ${role}`);
+        return res.status(403).json({ error: `Requires the ${role} role` });
+      }
+      next();
+    };
+  }
+
+  // For resources where reads and changes need different roles
+  function requireRoleByMethod({ read, write }) {
+    const readCheck = requireRole(read);
+    const writeCheck = requireRole(write);
+    return (req, res, next) => (['GET', 'HEAD'].includes(req.method) ? readCheck : writeCheck)(req, res, next);
+  }
+
+  return { requireRole, requireRoleByMethod, hasRole };
+}
+
+// cors() options for an origin allowlist; an empty list allows no cross-origin requests
+function corsOptions(origins) {
+  return { origin: origins.length > 0 ? origins : false };
+}
+
+module.exports = { ROLES, hashApiKey, parseApiKeys, createAuth, corsOptions };
@@ -0,0 +1,20 @@
+// Exponential backoff: baseMs, 2 x baseMs, 4 x baseMs ... capped at maxMs
+function backoffDelay(attempt, { baseMs, maxMs }) {
+  return Math.min(maxMs, baseMs * Math.pow(2, Math.max(0, attempt)));
+}
+
+// Resolves after ms, or as soon as signal (an AbortSignal) is aborted
+function sleep(ms, { signal } = {}) {
+  if (signal?.aborted) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done);
+  });
+}
+
+module.exports = { backoffDelay, sleep };
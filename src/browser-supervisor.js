@@ -0,0 +1,86 @@
+const { backoffDelay, sleep: defaultSleep } = require('./backoff');
+
+// Owns the shared Chromium instance: relaunches it with backoff after a crash
+// or disconnect, and reports its health for /status. close() and
+// cancelLaunch() end a wait between launch attempts straight away.
+function createBrowserSupervisor({ launch, logger, restartBaseMs = 2000, restartMaxMs = 60000, sleep = defaultSleep }) {
+  let browser = null;
+  let launching = null;
+  let stopped = false;
+  let cancel = new AbortController(); // aborted to give up the launch in progress
+  const health = {
+    status: 'idle', restarts: 0, launchFailures: 0,
+    launchedAt: null, lastDisconnectAt: null, lastError: null
+  };
+
+  function onDisconnected(instance) {
+    if (instance !== browser) return;
+    browser = null;
+    if (stopped) return;
+    health.status = 'disconnected';
+    health.lastDisconnectAt = new Date().toISOString();
+    health.restarts++;
+    logger.warn('Browser disconnected; relaunching');
+    getBrowser().catch(() => {});
+  }
+
+  async function launchWithBackoff() {
+    const { signal } = cancel;
+    for (let attempt = 0; !stopped && !signal.aborted; attempt++) {
+      health.status = health.launchedAt ? 'relaunching' : 'launching';
+      try {
+        const instance = await launch();
+        if (stopped) {
+          await instance.close().catch(() => {});
+          break;
+        }
+        instance.on('disconnected', () => onDisconnected(instance));
+        browser = instance;
+        Object.assign(health, { status: 'connected', launchedAt: new Date().toISOString(), lastError: null });
+        return instance;
+      } catch (error) {
+        const delay = backoffDelay(attempt, { baseMs: restartBaseMs, maxMs: restartMaxMs });
+        health.launchFailures++;
+        health.lastError = error.message;
+        logger.error(`Browser launch failed (attempt ${attempt + 1}), retrying in ${delay}ms: ${error.message}`);
+        await sleep(delay, { signal });
+      }
+    }
+    throw new Error(stopped ? 'Browser supervisor is stopped' : 'Browser launch cancelled');
+  }
+
+  // Resolves to a connected browser, waiting for a relaunch when needed
+  function getBrowser() {
+    if (browser && browser.isConnected()) return Promise.resolve(browser);
+    if (stopped) return Promise.reject(new Error('Browser supervisor is stopped'));
+    if (!launching) {
+      if (cancel.signal.aborted) cancel = new AbortController();
+      launching = launchWithBackoff().finally(() => { launching = null; });
+    }
+    return launching;
+  }
+
+  // Gives up a launch that is waiting to retry, e.g. when the engine is
+  // stopping but the browser must stay open for an in-flight lookup
+  function cancelLaunch() {
+    if (launching) cancel.abort();
+  }
+
+  async function close() {
+    stopped = true;
+    cancel.abort();
+    health.status = 'stopped';
+    const instance = browser;
+    browser = null;
+    if (instance) await instance.close().catch(() => {});
+  }
+
+  return {
+    getBrowser,
+    cancelLaunch,
+    close,
+    health: () => ({ ...health, connected: Boolean(browser && browser.isConnected()) })
+  };
+}
+
+module.exports = { createBrowserSupervisor };
@@ -0,0 +1,141 @@
+const { parseArgs } = require('util');
+const { createJobs, JobError } = require('./jobs');
+const { parseFieldAllowlist } = require('./field-allowlist');
+const { installShutdownHandlers } = require('./shutdown');
+const { redact } = require('./pii');
+const { classifyError } = require('./outcomes');
+
+// What the operator CLI (scripts/cli.js) can do, on top of the services the
+// server uses (src/services.js). Errors are JobErrors, as in the REST API.
+
+function createCommands({ config, services, logger }) {
+  const { storage, engine, scraper, suppressionList, snapshots, portal, retention } = services;
+  const jobs = createJobs({ storage, logger, persistFields: parseFieldAllowlist(config.persistence.fields) });
+
+  // Looks up one service number and returns what was parsed, without writing
+  // to the database. The run window, the suppression list and the portal's
+  // request budget and circuit breaker apply as they do to the engine;
+  // ignoreWindow lets an operator check a number outside the window.
+  // snapshot saves the page to SNAPSHOT_DIR afterwards: its HTML with the
+  // text redacted, or with showPii the HTML as it is and a screenshot.
+  // Customer details come back masked unless showPii is set.
+  async function lookup(circleCode, serviceNumber, { snapshot = false, showPii = false, ignoreWindow = false } = {}) {
+    const errors = [];
+    if (!/^\d{3,5}$/.test(circleCode || '')) errors.push('circle code must be a 3 to 5 digit code, e.g. "1213"');
+    if (!/^\d{3,6}$/.test(serviceNumber || '')) errors.push('service number must have 3 to 6 digits, zero padded, e.g. "001"');
+    if (errors.length > 0) throw new JobError('invalid', 'Invalid lookup', errors);
+
+    const schedule = engine.scheduleStatus();
+    if (!schedule.open && !ignoreWindow) {
+      const next = schedule.nextWindow ? `; it next opens at ${schedule.nextWindow.start}` : '';
+      throw new JobError('conflict', `Outside the run window "${schedule.window}"${next}. Pass --ignore-window to look up anyway`);
+    }
+    const wait = portal.openFor();
+    if (wait > 0) throw new JobError('conflict', `Portal circuit breaker open; try again in ${Math.ceil(wait / 1000)}s`);
+
+    // Nothing is sent to the portal for a suppressed consumer
+    try {
+      await suppressionList.load();
+    } catch (error) {
+      throw new JobError('storage', error.message);
+    }
+    const serviceNo = `${circleCode} ${serviceNumber}`;
+    if (suppressionList.hasServiceNo(serviceNo)) return { result: { serviceNo, status: 'suppressed' }, snapshot: null };
+
+    // A browser of its own, launched once: there is no engine run to supervise
+    const browser = await scraper.setupBrowser();
+    const check = portal.startLookup();
+    let page = null;
+    try {
+      page = await scraper.openPage(browser);
+      const result = await scraper.processService(page, circleCode, serviceNumber, { isSuppressed: suppressionList.hasUniqueServiceNo });
+      check.finish(result.status, result.billStatus);
+      // Customer details are only saved as they are when the operator asked to see them
+      const saved = snapshot && result.status !== 'suppressed'
+        ? await snapshots.capture(page, `lookup-${circleCode}-${serviceNumber}`, { customerData: !showPii })
+        : null;
+      logger.info(`Dry-run lookup of ${circleCode}-${serviceNumber}: ${result.status}`);
+      return { result: showPii ? result : redact(result), snapshot: saved };
+    } catch (error) {
+      check.finish(classifyError(error));
+      throw error;
+    } finally {
+      if (page) await page.close().catch(() => {});
+      await browser.close().catch(() => {});
+    }
+  }
+
+  // Adds a PENDING job, validated as POST /jobs does
+  const enqueue = (input) => jobs.create(input);
+
+  // One job by id, or the jobs with a status (all jobs by default)
+  const status = ({ id = null, status: filter } = {}) => (id ? jobs.get(id) : jobs.list({ status: filter }));
+
+  // Runs the engine and the retention schedule without the HTTP server until
+  // SIGTERM / SIGINT, which stop it as they stop the server
+  function run() {
+    const purgeTask = retention.start();
+    installShutdownHandlers({ engine, tasks: [purgeTask], logger, graceMs: config.shutdown.graceMs });
+    return engine.runAutomation();
+  }
+
+  return { lookup, enqueue, status, run };
+}
+
+const COMMANDS = ['lookup', 'enqueue', 'status', 'run'];
+
+const OPTIONS = {
+  snapshot: { type: 'boolean' },
+  'show-pii': { type: 'boolean' },
+  'ignore-window': { type: 'boolean' },
+  'range-start': { type: 'string' },
+  'range-end': { type: 'string' },
+  'run-window': { type: 'string' },
+  'persist-fields': { type: 'string' },
+  status: { type: 'string' }
+};
+
+// Reads the command line; throws on unknown options
+function parseCommandLine(argv) {
+  const { positionals: [command, ...args], values } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  return { command, args, values };
+}
+
+// Numbers are passed on as given when they are not numbers, so the job
+// validation reports them
+const numberOrRaw = (value) => (value === undefined ? null : /^\d+$/.test(value) ? Number(value) : value);
+
+// Job ids are circle_codes ids, as in GET /jobs/:id
+function jobId(value) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) throw new JobError('invalid', `Invalid job id "${value}"`);
+  return id;
+}
+
+// Runs a parsed command line against createCommands; resolves to what to print
+async function runCommandLine(commands, { command, args, values }) {
+  switch (command) {
+    case 'lookup':
+      return commands.lookup(args[0], args[1], {
+        snapshot: values.snapshot, showPii: values['show-pii'], ignoreWindow: values['ignore-window']
+      });
+    case 'enqueue':
+      return commands.enqueue({
+        circle_code: args[0],
+        digits_in_service_code: numberOrRaw(args[1]),
+        range_start: numberOrRaw(values['range-start']),
+        range_end: numberOrRaw(values['range-end']),
+        run_window: values['run-window'] ?? null,
+        persist_fields: values['persist-fields'] === undefined ? null : values['persist-fields'].split(',').map((f) => f.trim())
+      });
+    case 'status':
+      // Status filters are case-insensitive, as in GET /jobs?status=
+      return commands.status({ id: args[0] === undefined ? null : jobId(args[0]), status: values.status?.toUpperCase() });
+    case 'run':
+      return commands.run();
+    default:
+      throw new JobError('invalid', `Unknown command "${command}"`);
+  }
+}
+
+module.exports = { COMMANDS, createCommands, parseCommandLine, runCommandLine };
@@ -0,0 +1,102 @@
+const os = require('os');
+require('dotenv').config();
+
+// Parses an integer setting, falling back when it is unset or not a number
+function intFrom(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isNaN(n) ? fallback : n;
+}
+
+// Splits a comma separated setting into its non-empty entries
+function listFrom(value) {
+  return (value || '').split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+// Reads runtime settings from the environment in one place
+function loadConfig(env = process.env) {
+  return {
+    port: env.PORT || 3000,
+    logLevel: env.LOG_LEVEL || 'info',
+    saveOnlySuccess: env.SAVE_ONLY_SUCCESS === 'true',
+    // API keys as name:role:sha256 entries, and the origins allowed by CORS
+    auth: {
+      apiKeys: listFrom(env.API_KEYS),
+      corsOrigins: listFrom(env.CORS_ORIGINS)
+    },
+    // Optional scraped fields to store (see src/field-allowlist.js); empty keeps them all
+    persistence: {
+      fields: listFrom(env.PERSIST_FIELDS)
+    },
+    // Days to keep each field group (0 keeps it forever) and when the purge runs
+    retention: {
+      contactDays: intFrom(env.RETENTION_CONTACT_DAYS, 30),
+      billDays: intFrom(env.RETENTION_BILL_DAYS, 365),
+      recordDays: intFrom(env.RETENTION_RECORD_DAYS, 0),
+      snapshotDays: intFrom(env.SNAPSHOT_RETENTION_DAYS, 30),
+      logDays: intFrom(env.LOG_RETENTION_DAYS, 30),
+      schedule: env.PURGE_SCHEDULE || '30 3 * * *'
+    },
+    // id:base64 AES-256 keys for customer details; the first one encrypts
+    pii: {
+      encryptionKeys: listFrom(env.PII_ENCRYPTION_KEYS)
+    },
+    // The portal, our request budget for it (0 disables the budget) and the
+    // circuit breaker that backs off while it is failing
+    portal: {
+      baseUrl: (env.TGSPDCL_BASE_URL || 'https://tgsouthernpower.org').replace(/\/+$/, ''),
+      requestsPerMinute: intFrom(env.PORTAL_REQUESTS_PER_MINUTE, 60),
+      breakerThreshold: intFrom(env.PORTAL_BREAKER_THRESHOLD, 5),
+      breakerBaseMs: intFrom(env.PORTAL_BREAKER_BASE_MS, 30000),
+      breakerMaxMs: intFrom(env.PORTAL_BREAKER_MAX_MS, 600000)
+    },
+    jobs: {
+      workerId: env.WORKER_ID || `${os.hostname()}:${process.pid}`,
+      leaseSeconds: intFrom(env.JOB_LEASE_SECONDS, 300),
+      heartbeatSeconds: intFrom(env.JOB_HEARTBEAT_SECONDS, 60),
+      maxAttempts: intFrom(env.JOB_MAX_ATTEMPTS, 3),
+      pollSeconds: intFrom(env.JOB_POLL_SECONDS, 60)
+    },
+    browser: {
+      restartBaseMs: intFrom(env.BROWSER_RESTART_BASE_MS, 2000),
+      restartMaxMs: intFrom(env.BROWSER_RESTART_MAX_MS, 60000)
+    },
+    engine: {
+      restartBaseMs: intFrom(env.ENGINE_RESTART_BASE_MS, 5000),
+      restartMaxMs: intFrom(env.ENGINE_RESTART_MAX_MS, 300000)
+    },
+    // How long SIGTERM/SIGINT may take before the process exits regardless
+    shutdown: {
+      graceMs: intFrom(env.SHUTDOWN_GRACE_MS, 25000)
+    },
+    // When circles may be walked: a five field cron expression matching the
+    // allowed minutes (empty means any time), read in timezone
+    schedule: {
+      window: env.RUN_WINDOW || null,
+      timezone: env.SCHEDULE_TIMEZONE || null
+    },
+    // Layout drift: a run is paused once thresholdPercent of its last windowSize
+    // lookups were layout_changed (a windowSize of 0 turns this off), and the
+    // unexpected pages are saved to snapshotDir, keeping at most maxSnapshots
+    layout: {
+      windowSize: intFrom(env.LAYOUT_DRIFT_WINDOW, 50),
+      thresholdPercent: intFrom(env.LAYOUT_DRIFT_PERCENT, 50),
+      snapshotDir: env.SNAPSHOT_DIR || 'snapshots',
+      maxSnapshots: intFrom(env.SNAPSHOT_MAX_FILES, 100)
+    },
+    // Pause between service numbers: minDelayMs plus up to jitterMs
+    throttle: {
+      minDelayMs: intFrom(env.REQUEST_DELAY_MS, 1000),
+      jitterMs: intFrom(env.REQUEST_JITTER_MS, 1500)
+    },
+    storage: {
+      backend: (env.STORAGE_BACKEND || 'supabase').toLowerCase(),
+      supabaseUrl: env.SUPABASE_URL,
+      supabaseKey: env.SUPABASE_KEY,
+      // Direct Postgres connection string, only needed by npm run migrate
+      databaseUrl: env.DATABASE_URL,
+      localDbPath: env.LOCAL_DB_PATH || 'data/local-db.json'
+    }
+  };
+}
+
+module.exports = { loadConfig };
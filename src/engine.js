@@ -0,0 +1,451 @@
+const { OUTCOMES, classifyError, isFound, isFailure } = require('./outcomes');
+const { createBrowserSupervisor } = require('./browser-supervisor');
+const { backoffDelay } = require('./backoff');
+const { parseFieldAllowlist, effectiveFields, applyFieldAllowlist } = require('./field-allowlist');
+const { createSuppressionList } = require('./suppressions');
+const { createPortalGuard } = require('./portal-guard');
+const { createSchedule } = require('./schedule');
+const { createDriftMonitor } = require('./layout-drift');
+const { createMetrics } = require('./metrics');
+
+// Renewals retried within one heartbeat before waiting for the next
+const HEARTBEAT_RETRIES = 3;
+
+// Retries of a result that could not be saved, SAVE_RETRY_MS apart (then twice that)
+const SAVE_RETRIES = 2;
+const SAVE_RETRY_MS = 500;
+
+// The automation engine: claims circles from storage and walks their service numbers.
+// browsers defaults to a supervisor around scraper.setupBrowser, suppressions
+// to a list read from storage, portal to a guard built from config.portal
+// (pass the scraper's guard so the request budget and breaker are shared),
+// schedule to the run windows in config.schedule, and metrics to a registry
+// of its own.
+function createEngine({ config, storage, scraper, logger, browsers, suppressions, portal, schedule, metrics }) {
+  const { workerId, leaseSeconds, heartbeatSeconds, maxAttempts, pollSeconds } = config.jobs;
+  const { minDelayMs, jitterMs } = config.throttle;
+  const persistFields = parseFieldAllowlist(config.persistence.fields);
+  browsers = browsers || createBrowserSupervisor({
+    launch: () => scraper.setupBrowser(), logger,
+    restartBaseMs: config.browser.restartBaseMs, restartMaxMs: config.browser.restartMaxMs
+  });
+  suppressions = suppressions || createSuppressionList({ storage, logger });
+  portal = portal || createPortalGuard({ ...config.portal, logger });
+  schedule = schedule || createSchedule(config.schedule);
+  metrics = metrics || createMetrics();
+
+  // Global State
+  const state = { status: 'idle', isProcessing: false, currentCircle: null, restarts: 0, lastError: null, lastAlert: null };
+  let consecutiveFailures = 0;
+
+  // Shutdown: stop() sets stopping, which is checked between service numbers
+  // and between polls; wake cuts short whatever pause is in progress
+  let stopping = false;
+  let wake = () => {};
+  let running = null;
+  let current = null; // the circle being walked: { circle, run, runRow, range, released }
+
+  // Sleeps for ms, returning early once stop() is called
+  function pause(ms) {
+    if (stopping) return Promise.resolve();
+    return new Promise((resolve) => {
+      const timer = setTimeout(done, ms);
+      function done() {
+        clearTimeout(timer);
+        wake = () => {};
+        resolve();
+      }
+      wake = done;
+    });
+  }
+
+  // Counts a storage write that failed; the backend has already logged why
+  const failedWrite = (operation) => metrics.storageFailures.inc({ backend: storage.name, operation });
+
+  // Saves data to the configured store
+  async function saveResult(data) {
+    if (config.saveOnlySuccess && data.status !== OUTCOMES.SUCCESS) {
+      return true;
+    }
+    const saved = await storage.saveResult(data);
+    if (!saved) failedWrite('save_result');
+    return saved;
+  }
+
+  // saveResult, retried a few times; false when the result could still not be saved
+  async function saveWithRetries(data) {
+    for (let attempt = 1; ; attempt++) {
+      if (await saveResult(data)) return true;
+      if (attempt > SAVE_RETRIES || stopping) return false;
+      await pause(SAVE_RETRY_MS * attempt);
+    }
+  }
+
+  // The service numbers still to do: the job's range (the whole circle by
+  // default), starting after the checkpoint when there is one
+  function serviceRange(circle) {
+    const maxNumber = Math.pow(10, circle.digits_in_service_code) - 1;
+    const rangeStart = circle.range_start ?? 0;
+    const endIndex = Math.min(circle.range_end ?? maxNumber, maxNumber);
+    const checkpoint = circle.last_completed_service;
+    const startIndex = checkpoint != null && checkpoint >= rangeStart ? checkpoint + 1 : rangeStart;
+    return { startIndex, endIndex };
+  }
+
+  // Keeps our lease on the circle alive; flags the run when the lease is lost.
+  // A renewal that fails is retried a few times within the heartbeat, then
+  // left to the next one: only another worker holding the lease stops the run.
+  function startHeartbeat(id, lease) {
+    let renewing = false;
+    const timer = setInterval(async () => {
+      if (renewing) return;
+      renewing = true;
+      try {
+        for (let attempt = 1; !lease.lost; attempt++) {
+          const renewed = await storage.renewLease(id, workerId, leaseSeconds);
+          if (renewed) return;
+          if (renewed === false) {
+            lease.lost = true;
+            logger.warn(`Lost lease on circle ${id}; another worker has taken it over`);
+            return;
+          }
+          failedWrite('renew_lease');
+          if (attempt > HEARTBEAT_RETRIES) {
+            logger.warn(`Could not renew the lease on circle ${id}; trying again at the next heartbeat`);
+            return;
+          }
+          await new Promise((resolve) => setTimeout(resolve, (heartbeatSeconds * 1000 * attempt) / 10));
+        }
+      } finally {
+        renewing = false;
+      }
+    }, heartbeatSeconds * 1000);
+    timer.unref();
+    return timer;
+  }
+
+  // Circle-level statistics: the counts from earlier attempts plus this run's
+  function statsColumns(circle, run) {
+    const outcome_counts = { ...(circle.outcome_counts || {}) };
+    for (const [outcome, count] of Object.entries(run.outcomes)) {
+      outcome_counts[outcome] = (outcome_counts[outcome] || 0) + count;
+    }
+    return {
+      total_services: (circle.total_services || 0) + run.processed,
+      successful_services: (circle.successful_services || 0) + run.successful,
+      failed_services: (circle.failed_services || 0) + run.failed,
+      outcome_counts
+    };
+  }
+
+  // Closes the circle_runs row for this attempt
+  async function finishRun(runRow, run, status, finalError = null) {
+    if (!runRow) return;
+    const finishedAt = new Date();
+    const finished = await storage.finishRun(runRow.id, {
+      status, finished_at: finishedAt.toISOString(), duration_ms: finishedAt - new Date(runRow.started_at),
+      processed: run.processed, successful: run.successful, failed: run.failed,
+      outcome_counts: run.outcomes, last_service: run.lastService, final_error: finalError
+    });
+    if (!finished) failedWrite('finish_run');
+  }
+
+  // Releases a circle paused or cancelled through the jobs API, or paused by
+  // the engine itself. A pause gives back the attempt, like an interrupted run;
+  // a paused job resumes from its checkpoint.
+  async function releaseControlled(job, status, remarks = null) {
+    const { circle, run, runRow } = job;
+    logger.info(`Circle ${circle.circle_code} was ${status.toLowerCase()} after ${run.processed} lookups`);
+    await storage.releaseTask(circle.id, workerId, status, {
+      ...statsColumns(circle, run), ...(remarks && { remarks }),
+      ...(status === 'PAUSED' ? { attempts: Math.max((circle.attempts || 1) - 1, 0) } : { completed_at: new Date().toISOString() })
+    });
+    await finishRun(runRow, run, status, remarks);
+  }
+
+  // Pauses a circle whose lookups keep coming back layout_changed: the portal
+  // markup has most likely changed and the scraper needs updating first
+  async function pauseForLayoutDrift(job, summary) {
+    const { circle } = job;
+    const message = `Layout drift on circle ${circle.circle_code}: ${summary}. Paused at ${job.run.lastService}; ` +
+      'check the saved snapshots, update the scraper and resume the job';
+    state.lastAlert = { type: 'layout_drift', circle_code: circle.circle_code, message, at: new Date().toISOString() };
+    logger.error(`ALERT ${message}`);
+    await releaseControlled(job, 'PAUSED', `Layout drift: ${summary}`);
+  }
+
+  // Hands a circle cut short by stop() or by its run window closing back as
+  // PENDING. The checkpoint stays, so the next claim resumes after the last
+  // completed number, and the attempt used by this claim is given back since
+  // nothing went wrong with the circle.
+  async function releaseInterrupted(job, { cause = 'shutdown', finalError = 'Worker shut down' } = {}) {
+    const { circle, run, runRow } = job;
+    job.released = true;
+    logger.warn(`Interrupted circle ${circle.circle_code} by ${cause} after ${run.processed} lookups; returning it to PENDING`);
+    await storage.releaseTask(circle.id, workerId, 'PENDING', {
+      ...statsColumns(circle, run), attempts: Math.max((circle.attempts || 1) - 1, 0),
+      remarks: `Interrupted by ${cause} at ${run.lastService ?? 'start'}`
+    });
+    await finishRun(runRow, run, 'INTERRUPTED', finalError);
+  }
+
+  // Processes one full circle code on the supervised browser.
+  // The circle must already be claimed by this worker (see claimNextTask).
+  async function processCircleCode(circle) {
+    const { circle_code, digits_in_service_code, id } = circle;
+    logger.info(`Processing circle code: ${circle_code} with ${digits_in_service_code} digits (attempt ${circle.attempts || 1}/${maxAttempts})`);
+
+    const lease = { lost: false };
+    let control = null; // PAUSED or CANCELLED, as seen at the last checkpoint
+    let outsideWindow = false;
+    const drift = createDriftMonitor(config.layout);
+    let drifted = false;
+    const keepFields = effectiveFields(persistFields, circle.persist_fields);
+    const heartbeat = startHeartbeat(id, lease);
+    const run = { processed: 0, successful: 0, failed: 0, outcomes: {}, lastService: null };
+    const countOutcome = (outcome) => {
+      metrics.lookups.inc({ outcome, circle_code });
+      run.outcomes[outcome] = (run.outcomes[outcome] || 0) + 1;
+      run.processed++;
+      if (isFound(outcome)) run.successful++;
+      if (isFailure(outcome)) run.failed++;
+    };
+    let runRow = null;
+    const job = current = { circle, run, runRow, range: null, released: false };
+    try {
+      const { startIndex, endIndex } = job.range = serviceRange(circle);
+      const pad = (n) => n.toString().padStart(digits_in_service_code, '0');
+      if (startIndex > endIndex) {
+        logger.info(`Circle ${circle_code} already reached its checkpoint at ${pad(circle.last_completed_service)}`);
+      } else {
+        logger.info(`Processing range: ${pad(startIndex)} to ${pad(endIndex)}${startIndex > (circle.range_start ?? 0) ? ' (resumed from checkpoint)' : ''}`);
+      }
+      runRow = await storage.startRun({
+        circle_code_id: id, circle_code, worker_id: workerId, attempt: circle.attempts || 1,
+        range_start: startIndex, range_end: endIndex
+      });
+      if (!runRow) failedWrite('start_run');
+      job.runRow = runRow;
+
+      let i = startIndex;
+      for (; i <= endIndex && !lease.lost && !control && !stopping; i++) {
+        // Outside the run window the circle goes back to PENDING and resumes from
+        // this number once the window opens again
+        if (!schedule.isOpen(circle)) {
+          outsideWindow = true;
+          break;
+        }
+        const serviceNumber = pad(i);
+        // Suppressed consumers are skipped before anything is sent to the portal.
+        // Throws, failing the attempt, if the list has never been read.
+        await suppressions.load();
+        const suppressed = suppressions.hasServiceNo(`${circle_code} ${serviceNumber}`);
+        if (suppressed) {
+          countOutcome(OUTCOMES.SUPPRESSED);
+        } else {
+          // Nothing is sent while the portal's circuit breaker is open; stop() cuts the wait short
+          for (let wait = portal.openFor(); wait > 0 && !stopping; wait = portal.openFor()) {
+            logger.info(`Portal circuit breaker open; waiting ${wait}ms before ${circle_code}-${serviceNumber}`);
+            await pause(wait);
+          }
+          if (stopping) break;
+          const lookup = portal.startLookup();
+          let page = null;
+          let interrupted = false;
+          let unsaved = false;
+          try {
+            page = await scraper.openPage(await browsers.getBrowser());
+
+            // Fields this job does not keep are dropped straight away
+            const scraped = await scraper.processService(page, circle_code, serviceNumber, { isSuppressed: suppressions.hasUniqueServiceNo });
+            const result = applyFieldAllowlist(scraped, keepFields);
+            lookup.finish(result.status, result.billStatus);
+            drift.record(result.status === OUTCOMES.LAYOUT_CHANGED || result.billStatus === OUTCOMES.LAYOUT_CHANGED);
+            // A consumer found but not saved is not counted as done
+            unsaved = isFound(result.status) && !(await saveWithRetries(result));
+            if (!unsaved) countOutcome(result.status);
+          } catch (error) {
+            // A lookup cut short by shutdown (the browser closing under it) is
+            // not an outcome; the checkpoint stays before it so it is looked up again
+            if (stopping) {
+              interrupted = true;
+              logger.warn(`Lookup of ${circle_code}-${serviceNumber} interrupted by shutdown: ${error.message}`);
+            } else {
+              countOutcome(classifyError(error));
+              lookup.finish(classifyError(error));
+              drift.record(classifyError(error) === OUTCOMES.LAYOUT_CHANGED);
+              logger.error(`Critical error in loop for ${circle_code}-${serviceNumber}: ${error.message}`);
+            }
+          } finally {
+            if (page) await page.close().catch(() => {});
+          }
+          if (interrupted || (unsaved && stopping)) break;
+          // The checkpoint stays before a number whose result could not be
+          // saved: the attempt fails and the next one looks it up again
+          if (unsaved) throw new Error(`Could not save the result for ${circle_code}-${serviceNumber}; it is looked up again on the next attempt`);
+        }
+        run.lastService = i;
+        // Checkpoint: a resumed run starts after the last completed number.
+        // It also reports the job's status, so pause and cancel apply between numbers.
+        // A checkpoint that could not be saved is covered by the next one.
+        const circleStatus = await storage.saveCheckpoint(id, workerId, i, statsColumns(circle, run));
+        if (circleStatus === false) lease.lost = true;
+        else if (circleStatus === null) failedWrite('save_checkpoint');
+        else if (circleStatus === 'PAUSED' || circleStatus === 'CANCELLED') control = circleStatus;
+
+        if (run.processed % 20 === 0) {
+          logger.info(`Progress: ${run.processed}/${endIndex - startIndex + 1} (${run.successful} found) for circle ${circle_code}`, { outcomes: run.outcomes });
+        }
+        if (drift.tripped()) {
+          drifted = true;
+          break;
+        }
+        if (!suppressed) await pause(minDelayMs + Math.random() * jitterMs);
+      }
+      // stop() stopped waiting for us and has already released the circle
+      if (job.released) return;
+      if (lease.lost) {
+        logger.warn(`Stopped circle ${circle_code} after losing its lease`);
+        await finishRun(runRow, run, 'LEASE_LOST', 'Lease taken over by another worker');
+        return;
+      }
+      if (control) {
+        await releaseControlled(job, control);
+        return;
+      }
+      if (drifted) {
+        await pauseForLayoutDrift(job, drift.summary());
+        return;
+      }
+      if (outsideWindow) {
+        await releaseInterrupted(job, { cause: 'run window', finalError: 'Run window closed' });
+        return;
+      }
+      if (stopping && i <= endIndex) {
+        await releaseInterrupted(job);
+        return;
+      }
+      const stats = statsColumns(circle, run);
+      logger.info(`✅ Completed circle ${circle_code}`, { outcomes: stats.outcome_counts });
+      await storage.releaseTask(id, workerId, 'COMPLETED', {
+        ...stats, completed_at: new Date().toISOString(),
+        remarks: `${stats.successful_services} found, ${stats.failed_services} failed of ${stats.total_services} looked up`
+      });
+      await finishRun(runRow, run, 'COMPLETED');
+    } catch (error) {
+      // Retry later unless this circle has used up its attempts
+      const status = (circle.attempts || 1) >= maxAttempts ? 'FAILED' : 'PENDING';
+      logger.error(`Fatal error processing circle ${circle_code} (${status}): ${error.message}`);
+      await storage.releaseTask(id, workerId, status, {
+        ...statsColumns(circle, run), remarks: error.message, ...(status === 'FAILED' && { completed_at: new Date().toISOString() })
+      });
+      await finishRun(runRow, run, 'FAILED', error.message);
+    } finally {
+      clearInterval(heartbeat);
+      current = null;
+    }
+  }
+
+  // Ids of claimable circles whose run window is closed, or null when the
+  // circles cannot be read
+  async function outsideWindowIds() {
+    const circles = await storage.listCircleCodes();
+    if (!circles) return null;
+    return circles.filter((circle) => ['PENDING', 'PROCESSING'].includes(circle.status) && !schedule.isOpen(circle)).map((circle) => circle.id);
+  }
+
+  // Claims and processes circles until something throws or stop() is called.
+  // Circles outside their run window are left for a later poll.
+  async function monitorTasks() {
+    while (!stopping) {
+      const skipIds = await outsideWindowIds();
+      const nextTask = skipIds && await storage.claimNextTask(workerId, { leaseSeconds, maxAttempts, skipIds });
+
+      if (nextTask) {
+        state.isProcessing = true;
+        state.currentCircle = nextTask.circle_code;
+        logger.info(`New task found: Circle ${nextTask.circle_code}. Starting processing.`);
+        await processCircleCode(nextTask);
+        state.isProcessing = false;
+        state.currentCircle = null;
+        logger.info(`Task for circle ${nextTask.circle_code} finished. Resuming monitoring.`);
+      } else {
+        const waiting = skipIds && skipIds.length > 0 ? ` (${skipIds.length} waiting for their run window)` : '';
+        logger.info(`No pending tasks found${waiting}. Waiting for ${pollSeconds} seconds before checking again.`);
+        await pause(pollSeconds * 1000);
+      }
+      consecutiveFailures = 0;
+    }
+  }
+
+  // Main automation function. The browser is shared through the supervisor,
+  // and the monitoring loop is restarted with backoff after fatal errors.
+  function runAutomation() {
+    running = running || automationLoop();
+    return running;
+  }
+
+  async function automationLoop() {
+    logger.info(`Automation engine started as ${workerId}. Monitoring for tasks...`);
+
+    while (!stopping) {
+      try {
+        state.status = 'running';
+        await browsers.getBrowser(); // Launch browser ONCE, relaunched by the supervisor
+        await monitorTasks();
+      } catch (error) {
+        // stop() gave up waiting for the browser to be relaunched
+        if (stopping) break;
+        const delay = backoffDelay(consecutiveFailures++, { baseMs: config.engine.restartBaseMs, maxMs: config.engine.restartMaxMs });
+        Object.assign(state, { status: 'restarting', isProcessing: false, currentCircle: null, lastError: error.message });
+        state.restarts++;
+        logger.error(`A critical error occurred in the automation cycle: ${error.message}. Restarting in ${delay}ms.`);
+        await pause(delay);
+      }
+    }
+    Object.assign(state, { status: 'stopped', isProcessing: false, currentCircle: null });
+    logger.info('Automation engine stopped');
+  }
+
+  // Stops the engine at the next safe point: after the in-flight lookup, or
+  // straight away when it is waiting. Resolves once the loop has exited and the
+  // circle is back to PENDING. If the lookup takes longer than timeoutMs, the
+  // circle is released without waiting for it.
+  async function stop({ timeoutMs = 20000 } = {}) {
+    if (!stopping) logger.info('Stopping automation engine...');
+    stopping = true;
+    if (state.status !== 'stopped') state.status = 'stopping';
+    wake();
+    // A browser relaunch waiting out its backoff is not waited for
+    browsers.cancelLaunch();
+    if (!running) return;
+    let timer;
+    const finished = await Promise.race([
+      running.then(() => true),
+      new Promise((resolve) => { timer = setTimeout(resolve, timeoutMs, false); })
+    ]);
+    clearTimeout(timer);
+    if (!finished && current && !current.released) {
+      logger.warn(`In-flight lookup did not finish within ${timeoutMs}ms`);
+      await releaseInterrupted(current);
+    }
+  }
+
+  // The run windows for /status, including the current circle's own window
+  const scheduleStatus = () => schedule.status(current && current.circle);
+
+  // How far the current run has got, or null while no circle is being walked
+  function progress() {
+    if (!current || !current.range) return null;
+    const { circle, run, range } = current;
+    const next = run.lastService == null ? range.startIndex : run.lastService + 1;
+    return {
+      id: circle.id, circle_code: circle.circle_code, processed: run.processed, successful: run.successful,
+      failed: run.failed, lastService: run.lastService, remaining: Math.max(range.endIndex - next + 1, 0)
+    };
+  }
+
+  return { state, browsers, portal, metrics, scheduleStatus, progress, saveResult, serviceRange, processCircleCode, runAutomation, stop };
+}
+
+module.exports = { createEngine };
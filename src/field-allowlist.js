@@ -0,0 +1,44 @@
+const { emptyBill } = require('./parsers');
+
+// Scraped fields a deployment or job may choose not to keep, mapped to the
+// lookup result properties they come from. service_no, unique_service_no and
+// the lookup outcome are always stored, since rows are keyed on them.
+// "bill" covers the amount, currency, source, dates and the bill_history rows.
+const OPTIONAL_FIELDS = {
+  customer_name: 'customerName',
+  address: 'address',
+  mobile: 'mobile',
+  ero: 'ero',
+  bill: 'bill'
+};
+
+const ALL_FIELDS = Object.keys(OPTIONAL_FIELDS);
+
+// Field names in a list that are not optional fields
+const unknownFields = (fields) => fields.filter((field) => !ALL_FIELDS.includes(field));
+
+// Validates the deployment's PERSIST_FIELDS; an empty setting keeps everything
+function parseFieldAllowlist(fields) {
+  const unknown = unknownFields(fields);
+  if (unknown.length > 0) {
+    throw new Error(`PERSIST_FIELDS has unknown field(s) ${unknown.join(', ')}; expected any of ${ALL_FIELDS.join(', ')}`);
+  }
+  return fields.length > 0 ? ALL_FIELDS.filter((field) => fields.includes(field)) : ALL_FIELDS;
+}
+
+// The fields a job keeps: its own list, limited to what the deployment allows
+function effectiveFields(deploymentFields, jobFields) {
+  return jobFields ? deploymentFields.filter((field) => jobFields.includes(field)) : deploymentFields;
+}
+
+// Drops the fields that are not kept from a lookup result, so they never
+// reach storage or a log line
+function applyFieldAllowlist(result, fields) {
+  const kept = { ...result };
+  for (const [field, property] of Object.entries(OPTIONAL_FIELDS)) {
+    if (!fields.includes(field)) kept[property] = property === 'bill' ? emptyBill() : null;
+  }
+  return kept;
+}
+
+module.exports = { ALL_FIELDS, unknownFields, parseFieldAllowlist, effectiveFields, applyFieldAllowlist };
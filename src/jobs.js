@@ -0,0 +1,158 @@
+const { ALL_FIELDS, unknownFields } = require('./field-allowlist');
+const { windowError } = require('./schedule');
+const { ApiError } = require('./api-errors');
+
+// Circle jobs as managed through the REST API: validation and the allowed
+// status changes. A job is a circle_codes row, optionally limited to a range.
+
+// Digit counts the portal uses for service numbers within a circle
+const SUPPORTED_DIGITS = [3, 4, 5, 6];
+
+const JOB_STATUSES = ['PENDING', 'PROCESSING', 'PAUSED', 'COMPLETED', 'FAILED', 'CANCELLED'];
+
+// Jobs that still hold (or will claim) service numbers
+const ACTIVE_STATUSES = ['PENDING', 'PROCESSING', 'PAUSED'];
+
+// What each action may be applied to. A PROCESSING job keeps its lease when
+// paused or cancelled; the worker sees the new status at its next checkpoint
+// and releases the circle itself.
+const ACTIONS = {
+  pause: { from: ['PENDING', 'PROCESSING'], to: 'PAUSED' },
+  resume: { from: ['PAUSED'], to: 'PENDING', fields: () => ({ lease_owner: null, lease_expires_at: null }) },
+  cancel: { from: ACTIVE_STATUSES, to: 'CANCELLED', fields: () => ({ completed_at: new Date().toISOString() }) },
+  retry: {
+    from: ['FAILED', 'CANCELLED', 'COMPLETED'],
+    to: 'PENDING',
+    fields: () => ({ attempts: 0, lease_owner: null, lease_expires_at: null, completed_at: null, remarks: null })
+  }
+};
+
+// Clears the checkpoint and counts, for a retry that starts the range over
+const FRESH_START = {
+  last_completed_service: null, total_services: null, successful_services: null, failed_services: null, outcome_counts: null
+};
+
+// A job request the API rejects; reason is invalid, not_found, conflict or storage
+class JobError extends ApiError {
+  constructor(reason, message, details) {
+    super(reason, message, details);
+    this.name = 'JobError';
+  }
+}
+
+const isWholeNumber = (value) => Number.isInteger(value) && value >= 0;
+
+// Checks a new job's fields; returns the row to insert or throws JobError
+function validateJob(input = {}) {
+  const errors = [];
+  const circleCode = typeof input.circle_code === 'number' ? String(input.circle_code) : input.circle_code;
+  if (typeof circleCode !== 'string' || !/^\d{3,5}$/.test(circleCode.trim())) {
+    errors.push('circle_code must be a 3 to 5 digit code, e.g. "1213"');
+  }
+  const digits = input.digits_in_service_code;
+  if (!SUPPORTED_DIGITS.includes(digits)) {
+    errors.push(`digits_in_service_code must be one of ${SUPPORTED_DIGITS.join(', ')}`);
+  }
+  const rangeStart = input.range_start ?? null;
+  const rangeEnd = input.range_end ?? null;
+  for (const [name, value] of [['range_start', rangeStart], ['range_end', rangeEnd]]) {
+    if (value === null) continue;
+    if (!isWholeNumber(value)) errors.push(`${name} must be a whole number`);
+    else if (SUPPORTED_DIGITS.includes(digits) && value >= Math.pow(10, digits)) {
+      errors.push(`${name} does not fit in ${digits} digits`);
+    }
+  }
+  if (isWholeNumber(rangeStart) && isWholeNumber(rangeEnd) && rangeStart > rangeEnd) {
+    errors.push('range_start must not be after range_end');
+  }
+  // Optional fields this job keeps; null keeps whatever the deployment allows
+  const persistFields = input.persist_fields ?? null;
+  if (persistFields !== null) {
+    if (!Array.isArray(persistFields) || persistFields.some((field) => typeof field !== 'string')) {
+      errors.push('persist_fields must be a list of field names');
+    } else if (unknownFields(persistFields).length > 0) {
+      errors.push(`persist_fields may only contain ${ALL_FIELDS.join(', ')}`);
+    }
+  }
+  // When this job may run, instead of the global RUN_WINDOW
+  const runWindow = input.run_window ?? null;
+  if (runWindow !== null && windowError(runWindow)) errors.push(`run_window ${windowError(runWindow)}`);
+  if (errors.length > 0) throw new JobError('invalid', 'Invalid job', errors);
+  return {
+    circle_code: circleCode.trim(), digits_in_service_code: digits, range_start: rangeStart, range_end: rangeEnd,
+    persist_fields: persistFields && ALL_FIELDS.filter((field) => persistFields.includes(field)),
+    run_window: runWindow && runWindow.trim()
+  };
+}
+
+// The inclusive service number range a job covers
+function jobRange(job) {
+  const maxNumber = Math.pow(10, job.digits_in_service_code) - 1;
+  return [job.range_start ?? 0, job.range_end ?? maxNumber];
+}
+
+// Job operations on top of the storage interface. persistFields is the
+// deployment's allowlist; a job may only narrow it.
+function createJobs({ storage, logger, persistFields = ALL_FIELDS }) {
+  // Adds a PENDING job. Rejects one that overlaps an active job for the same
+  // circle, since both would look up the same numbers.
+  async function create(input) {
+    const job = validateJob(input);
+    const notAllowed = (job.persist_fields || []).filter((field) => !persistFields.includes(field));
+    if (notAllowed.length > 0) {
+      throw new JobError('invalid', 'Invalid job', [`persist_fields ${notAllowed.join(', ')} not allowed by PERSIST_FIELDS on this deployment`]);
+    }
+    const existing = await storage.listCircleCodes();
+    if (!existing) throw new JobError('storage', 'Could not read circle_codes');
+    const [start, end] = jobRange(job);
+    const overlapping = existing.find((row) => {
+      if (row.circle_code !== job.circle_code || !ACTIVE_STATUSES.includes(row.status)) return false;
+      const [rowStart, rowEnd] = jobRange(row);
+      return rowStart <= end && start <= rowEnd;
+    });
+    if (overlapping) {
+      throw new JobError('conflict', `Circle ${job.circle_code} already has an active job (${overlapping.id}) covering this range`);
+    }
+    const created = await storage.addCircleCode(job);
+    if (!created) throw new JobError('storage', 'Could not add the job');
+    logger.info(`Added job ${created.id} for circle ${job.circle_code}`, { range_start: job.range_start, range_end: job.range_end });
+    return created;
+  }
+
+  async function list({ status } = {}) {
+    if (status && !JOB_STATUSES.includes(status)) {
+      throw new JobError('invalid', 'Invalid status filter', [`status must be one of ${JOB_STATUSES.join(', ')}`]);
+    }
+    const jobs = await storage.listCircleCodes({ status });
+    if (!jobs) throw new JobError('storage', 'Could not read circle_codes');
+    return jobs;
+  }
+
+  async function get(id) {
+    const job = await storage.getCircleCode(id);
+    if (!job) throw new JobError('not_found', `Job ${id} not found`);
+    return job;
+  }
+
+  // Applies pause, resume, cancel or retry. A retry resumes from the checkpoint
+  // unless fromStart is set; a completed job always starts over.
+  async function act(id, action, { fromStart = false } = {}) {
+    const rule = ACTIONS[action];
+    if (!rule) throw new JobError('invalid', `Unknown action "${action}"`);
+    const job = await get(id);
+    if (!rule.from.includes(job.status)) {
+      throw new JobError('conflict', `Cannot ${action} a ${job.status} job`);
+    }
+    const restart = action === 'retry' && (fromStart || job.status === 'COMPLETED');
+    const fields = { ...(rule.fields ? rule.fields() : {}), ...(restart && FRESH_START) };
+    const updated = await storage.transitionCircleCode(id, rule.from, rule.to, fields);
+    // The status changed between the read and the update, e.g. a worker finished the job
+    if (!updated) throw new JobError('conflict', `Job ${id} changed while applying ${action}; try again`);
+    logger.info(`Job ${id} (circle ${job.circle_code}): ${action}, ${job.status} -> ${rule.to}`);
+    return updated;
+  }
+
+  return { create, list, get, act };
+}
+
+module.exports = { SUPPORTED_DIGITS, JOB_STATUSES, JobError, validateJob, createJobs };
@@ -0,0 +1,22 @@
+// Watches one run for portal layout drift: the share of layout_changed
+// lookups among the last windowSize. Once the window is full and the share
+// reaches thresholdPercent, the run should stop; with a windowSize of 0 it never does.
+function createDriftMonitor({ windowSize = 50, thresholdPercent = 50 }) {
+  const recent = [];
+  let changed = 0;
+
+  function record(layoutChanged) {
+    if (windowSize <= 0) return;
+    recent.push(layoutChanged);
+    if (layoutChanged) changed++;
+    if (recent.length > windowSize && recent.shift()) changed--;
+  }
+
+  const tripped = () => windowSize > 0 && recent.length >= windowSize && changed * 100 >= thresholdPercent * windowSize;
+
+  const summary = () => `${changed} of the last ${recent.length} lookups were layout_changed`;
+
+  return { record, tripped, summary };
+}
+
+module.exports = { createDriftMonitor };
@@ -0,0 +1,30 @@
+const winston = require('winston');
+const DailyRotateFile = require('winston-daily-rotate-file');
+const { redact } = require('./pii');
+
+// A new log file every day (UTC), combined-2024-01-15.log, and another within
+// the day at LOG_MAX_SIZE_MB (combined-2024-01-15.log.1, ...). The retention
+// purge deletes whole days after LOG_RETENTION_DAYS, so no entry is kept longer.
+const rotation = (name) => ({
+  filename: `${name}-%DATE%.log`,
+  datePattern: 'YYYY-MM-DD',
+  utc: true,
+  maxSize: `${parseInt(process.env.LOG_MAX_SIZE_MB, 10) || 20}m`,
+  maxFiles: parseInt(process.env.LOG_MAX_FILES, 10) || 10,
+  auditFile: `.${name}-log-audit.json`
+});
+
+// Masks customer details before anything reaches a log file or the console
+const redactPii = winston.format((info) => Object.assign(info, redact({ ...info })));
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(redactPii(), winston.format.timestamp(), winston.format.json()),
+  transports: [
+    new DailyRotateFile({ level: 'error', ...rotation('error') }),
+    new DailyRotateFile(rotation('combined')),
+    new winston.transports.Console({ format: winston.format.simple() })
+  ]
+});
+
+module.exports = logger;
@@ -0,0 +1,99 @@
+const client = require('prom-client');
+
+// Portal page loads take seconds, and a timeout is 30s or more
+const FETCH_BUCKETS = [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60];
+
+// Prometheus metrics for GET /metrics. Lookups, fetch latencies and storage
+// failures are counted as they happen; browser, breaker and job progress
+// figures are read from the engine at scrape time (see observeEngine).
+function createMetrics({ defaultMetrics = false } = {}) {
+  const registry = new client.Registry();
+  if (defaultMetrics) client.collectDefaultMetrics({ register: registry, prefix: 'tgspdcl_' });
+
+  const lookups = new client.Counter({
+    name: 'tgspdcl_lookups_total',
+    help: 'Service numbers looked up, by outcome and circle',
+    labelNames: ['outcome', 'circle_code'],
+    registers: [registry]
+  });
+
+  const fetchDuration = new client.Histogram({
+    name: 'tgspdcl_fetch_duration_seconds',
+    help: 'Time taken by fetchServiceDetails (step="service_details") and fetchBillAmount (step="bill_amount")',
+    labelNames: ['step', 'outcome'],
+    buckets: FETCH_BUCKETS,
+    registers: [registry]
+  });
+
+  const storageFailures = new client.Counter({
+    name: 'tgspdcl_storage_write_failures_total',
+    help: 'Writes to the storage backend that failed, by operation',
+    labelNames: ['backend', 'operation'],
+    registers: [registry]
+  });
+
+  // Starts a fetch timer; call the returned function with the outcome
+  function timeFetch(step) {
+    const end = fetchDuration.startTimer({ step });
+    return (outcome) => end({ outcome });
+  }
+
+  // Counters kept elsewhere as running totals; collect adds what is new
+  function runningTotal(options, read) {
+    let seen = 0;
+    return new client.Counter({
+      ...options,
+      registers: [registry],
+      collect() {
+        const total = read();
+        if (total > seen) this.inc(total - seen);
+        seen = Math.max(seen, total);
+      }
+    });
+  }
+
+  let observed = false;
+
+  // Adds the engine's own figures: browser and engine restarts, the portal
+  // breaker and the progress of the circle being walked
+  function observeEngine(engine) {
+    if (observed) throw new Error('Metrics already observe an engine');
+    observed = true;
+    runningTotal({ name: 'tgspdcl_browser_restarts_total', help: 'Chromium relaunches after a crash or disconnect' },
+      () => engine.browsers.health().restarts);
+    runningTotal({ name: 'tgspdcl_browser_launch_failures_total', help: 'Chromium launches that failed' },
+      () => engine.browsers.health().launchFailures);
+    runningTotal({ name: 'tgspdcl_engine_restarts_total', help: 'Automation loop restarts after a fatal error' },
+      () => engine.state.restarts);
+
+    if (engine.portal) {
+      new client.Gauge({
+        name: 'tgspdcl_portal_breaker_open',
+        help: 'Portal circuit breaker state: 0 closed, 0.5 half-open, 1 open',
+        registers: [registry],
+        collect() {
+          this.set({ closed: 0, half_open: 0.5, open: 1 }[engine.portal.health().breaker]);
+        }
+      });
+    }
+
+    // One series per figure for the current circle; none while idle
+    const jobGauge = (name, help, value) => new client.Gauge({
+      name, help, labelNames: ['job_id', 'circle_code'], registers: [registry],
+      collect() {
+        this.reset();
+        const progress = engine.progress();
+        if (progress) this.set({ job_id: String(progress.id), circle_code: progress.circle_code }, value(progress));
+      }
+    });
+    jobGauge('tgspdcl_job_processed', 'Service numbers looked up by the current run', (p) => p.processed);
+    jobGauge('tgspdcl_job_found', 'Consumers found by the current run', (p) => p.successful);
+    jobGauge('tgspdcl_job_failed', 'Failed lookups in the current run', (p) => p.failed);
+    jobGauge('tgspdcl_job_remaining', 'Service numbers left in the current run', (p) => p.remaining);
+    jobGauge('tgspdcl_job_last_service', 'Last service number completed by the current run', (p) => p.lastService ?? -1);
+  }
+
+  return { registry, lookups, timeFetch, storageFailures, observeEngine };
+}
+
+module.exports = { createMetrics };
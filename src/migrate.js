@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const { Client } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Postgres tracking table; the API key only needs to read it at startup
+const TRACKING_TABLE_SQL = `
+CREATE TABLE IF NOT EXISTS public.schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE public.schema_migrations ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Enable read access" ON public.schema_migrations;
+CREATE POLICY "Enable read access" ON public.schema_migrations
+FOR SELECT USING (true);
+`;
+
+// Any fixed number shared by every runner will do
+const LOCK_KEY = 74770221;
+
+const label = ({ version, name }) => `${String(version).padStart(3, '0')}_${name}`;
+
+// Reads the migrations in dir, oldest first. Each is an NNN_name.js file
+// exporting the SQL to run on Postgres and, when local files need changing
+// too, a json(db) function.
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map((file) => file.match(/^(\d+)_(\w+)\.js$/))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version: Number(version), name, ...require(path.join(dir, file)) }))
+    .sort((a, b) => a.version - b.version);
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migration.version === migrations[i - 1].version) throw new Error(`Two migrations are numbered ${migration.version}`);
+    if (typeof migration.postgres !== 'string') throw new Error(`Migration ${label(migration)} has no postgres SQL`);
+  });
+  return migrations;
+}
+
+// The migrations not recorded in applied ({ version } rows), oldest first
+function pendingMigrations(applied, migrations) {
+  const done = new Set(applied.map((row) => Number(row.version)));
+  return migrations.filter((migration) => !done.has(migration.version));
+}
+
+// Why the server must not start on this storage, or null when the schema is current
+async function schemaError(storage, migrations = loadMigrations()) {
+  const applied = await storage.listMigrations();
+  if (!applied) return 'Could not read the schema version from schema_migrations';
+  const pending = pendingMigrations(applied, migrations);
+  if (pending.length === 0) return null;
+  return `The database schema is out of date (pending: ${pending.map(label).join(', ')}). Run "npm run migrate -- up" first`;
+}
+
+// Migrations on Postgres, e.g. the Supabase database over its connection
+// string. Each migration commits together with its schema_migrations row, and
+// an advisory lock keeps two runners from migrating at once.
+function createPostgresTarget({ connectionString, client = new Client({ connectionString }) }) {
+  let connecting = null;
+  const connect = () => (connecting = connecting || client.connect());
+
+  async function applied() {
+    await connect();
+    const { rows: [{ tracked }] } = await client.query("SELECT to_regclass('public.schema_migrations') IS NOT NULL AS tracked");
+    if (!tracked) return [];
+    const { rows } = await client.query('SELECT version, name, applied_at FROM public.schema_migrations ORDER BY version');
+    return rows;
+  }
+
+  async function exclusive(fn) {
+    await connect();
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      await client.query(TRACKING_TABLE_SQL);
+      return await fn();
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  }
+
+  async function apply(migration) {
+    await client.query('BEGIN');
+    try {
+      await client.query(migration.postgres);
+      await client.query('INSERT INTO public.schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  }
+
+  const close = async () => {
+    if (connecting) await client.end();
+  };
+
+  return { name: 'postgres', applied, exclusive, apply, close };
+}
+
+// Migrations on the local JSON database (see src/storage/json.js)
+function createJsonTarget({ storage }) {
+  async function applied() {
+    const rows = await storage.listMigrations();
+    if (!rows) throw new Error('Could not read the local database');
+    return rows;
+  }
+
+  async function apply(migration) {
+    if (!(await storage.applyMigration(migration))) throw new Error('could not update the local database');
+  }
+
+  return { name: 'json', applied, exclusive: (fn) => fn(), apply, close: async () => {} };
+}
+
+// Applies and lists migrations on a target. up() stops at the first failing
+// migration, leaving it and the later ones pending.
+function createMigrator({ target, migrations = loadMigrations(), logger }) {
+  async function status() {
+    const applied = new Map((await target.applied()).map((row) => [Number(row.version), row]));
+    return migrations.map((migration) => ({
+      version: migration.version, name: migration.name, applied_at: applied.get(migration.version)?.applied_at || null
+    }));
+  }
+
+  // Resolves to the labels of the migrations applied
+  function up() {
+    return target.exclusive(async () => {
+      const pending = pendingMigrations(await target.applied(), migrations);
+      for (const migration of pending) {
+        logger.info(`Applying migration ${label(migration)} (${target.name})`);
+        try {
+          await target.apply(migration);
+        } catch (error) {
+          throw new Error(`Migration ${label(migration)} failed: ${error.message}`);
+        }
+      }
+      return pending.map(label);
+    });
+  }
+
+  return { status, up };
+}
+
+module.exports = {
+  MIGRATIONS_DIR, label, loadMigrations, pendingMigrations, schemaError,
+  createPostgresTarget, createJsonTarget, createMigrator
+};
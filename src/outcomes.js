@@ -0,0 +1,47 @@
+// Outcome codes for a single lookup, stored in fetch_status and counted per job
+const OUTCOMES = {
+  SUCCESS: 'success',
+  NOT_FOUND: 'not_found',
+  TIMEOUT: 'timeout',
+  LAYOUT_CHANGED: 'layout_changed',
+  NAVIGATION_ERROR: 'navigation_error',
+  BROWSER_CRASHED: 'browser_crashed',
+  BILL_UNAVAILABLE: 'bill_unavailable',
+  SUPPRESSED: 'suppressed'
+};
+
+// An error that already knows which outcome it maps to
+class ScrapeError extends Error {
+  constructor(outcome, message) {
+    super(message);
+    this.name = 'ScrapeError';
+    this.outcome = outcome;
+  }
+}
+
+// Maps a thrown Puppeteer / network error onto an outcome code
+function classifyError(error) {
+  if (error?.outcome) return error.outcome;
+  const message = error?.message || String(error || '');
+  if (/target closed|session closed|browser has disconnected|browser closed|connection closed|page crashed|frame was detached|protocol error/i.test(message)) {
+    return OUTCOMES.BROWSER_CRASHED;
+  }
+  if (error?.name === 'TimeoutError' || /timeout|timed out/i.test(message)) return OUTCOMES.TIMEOUT;
+  if (/no node found for selector|failed to find element|not clickable/i.test(message)) return OUTCOMES.LAYOUT_CHANGED;
+  return OUTCOMES.NAVIGATION_ERROR;
+}
+
+// Lookups where the consumer exists and a row is worth storing
+function isFound(outcome) {
+  return outcome === OUTCOMES.SUCCESS || outcome === OUTCOMES.BILL_UNAVAILABLE;
+}
+
+// Outcomes that are a clean answer, or no lookup at all
+const CLEAN = new Set([OUTCOMES.SUCCESS, OUTCOMES.BILL_UNAVAILABLE, OUTCOMES.NOT_FOUND, OUTCOMES.SUPPRESSED]);
+
+// Lookups that went wrong on our side or the portal's, as opposed to a clean answer
+function isFailure(outcome) {
+  return !CLEAN.has(outcome);
+}
+
+module.exports = { OUTCOMES, ScrapeError, classifyError, isFound, isFailure };
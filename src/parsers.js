@@ -0,0 +1,197 @@
+const cheerio = require('cheerio');
+const { OUTCOMES } = require('./outcomes');
+const { UNIQUE_SERVICE_NO } = require('./service-numbers');
+
+/**
+ * Pure parsers for the TGSPDCL portal pages. They take the page HTML (or an
+ * already loaded cheerio document) so they can be tested without a browser.
+ */
+
+/**
+ * @typedef {Object} ServiceDetails
+ * @property {string} serviceNo
+ * @property {string} [uniqueServiceNo]
+ * @property {string|null} [customerName] null when the portal left the cell empty
+ * @property {string|null} [address]
+ * @property {string|null} [ero]
+ * @property {string|null} [mobile] ten digits
+ * @property {string[]} [problems] why a results row was rejected as layout_changed
+ * @property {'success'|'not_found'|'layout_changed'} status
+ */
+
+/**
+ * @typedef {Object} BillInfo
+ * @property {number|null} amount numeric bill amount
+ * @property {string|null} currency ISO currency code ('INR')
+ * @property {'current_month_bill'|'total_amount_payable'|'page_fallback'|null} source where the amount was read from
+ * @property {string|null} rawAmount the amount text as shown on the page
+ * @property {string|null} billDate YYYY-MM-DD
+ * @property {string|null} dueDate YYYY-MM-DD
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function loadDocument(input) {
+  return typeof input === 'function' && typeof input.root === 'function' ? input : cheerio.load(input || '');
+}
+
+const norm = (s) => (s || '').replace(/\s+/g, ' ').trim();
+
+// Returns the first amount in a piece of text, keeping any ₹ / Rs. prefix
+function parseAmountText(text) {
+  const m = norm(text).match(/(₹|rs\.?\s*)?\s*([0-9][0-9,]*\.?[0-9]*)/i);
+  return m ? m[0].trim() : null;
+}
+
+// Turns amount text such as "₹1,234.00" or "Rs. 56" into { amount, currency }
+function parseAmountValue(text) {
+  const m = norm(text).match(/[0-9][0-9,]*\.?[0-9]*/);
+  if (!m) return { amount: null, currency: null };
+  const amount = Number(m[0].replace(/,/g, '').replace(/\.$/, ''));
+  return Number.isFinite(amount) ? { amount, currency: 'INR' } : { amount: null, currency: null };
+}
+
+// Reads dd-mm-yyyy, dd/mm/yyyy, dd-Mon-yyyy or yyyy-mm-dd into YYYY-MM-DD
+function parseDateText(text) {
+  const t = norm(text);
+  let year, month, day;
+  let m = t.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+  if (m) {
+    [, year, month, day] = m.map(Number);
+  } else if ((m = t.match(/\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})\b/))) {
+    [, day, month, year] = m.map(Number);
+  } else if ((m = t.match(/\b(\d{1,2})[-/ ]([a-z]{3})[a-z]*[-/ ,]+(\d{4})\b/i))) {
+    day = Number(m[1]);
+    month = MONTHS.indexOf(m[2].toLowerCase()) + 1;
+    year = Number(m[3]);
+  } else {
+    return null;
+  }
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (!month || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+// Scans cells right to left, since the value sits after its label
+function extractFromCells($, cells, extract) {
+  for (let i = cells.length - 1; i >= 0; i--) {
+    const value = extract($(cells[i]).text());
+    if (value) return value;
+  }
+  return null;
+}
+
+// Finds the first table row matching a label and reads a value from it or the next 2 rows
+function findByLabel($, regex, extract = parseAmountText) {
+  const rows = $('table tr').toArray();
+  for (let i = 0; i < rows.length; i++) {
+    if (!regex.test(norm($(rows[i]).text()))) continue;
+    for (let j = 0; j <= 2 && i + j < rows.length; j++) {
+      const value = extractFromCells($, $(rows[i + j]).find('td').toArray(), extract);
+      if (value) return value;
+    }
+    break;
+  }
+  return null;
+}
+
+// A bill with nothing found, used when the lookup could not run
+function emptyBill() {
+  return { amount: null, currency: null, source: null, rawAmount: null, billDate: null, dueDate: null };
+}
+
+// The portal's "no such service" page: an empty results table or a message
+const NO_RECORD_TEXT = /no\s+(records?|data|details)|not\s+found|invalid\s+(service|ukscno)/i;
+
+// Indian mobile numbers: ten digits starting with 6-9, maybe after +91 or 0
+const MOBILE = /^(?:\+?91|0)?([6-9]\d{9})$/;
+
+/**
+ * Checks the cells of a results row against the lookup that produced it: the
+ * service number must be the one requested, the unique service number all
+ * digits and the mobile, when given, a mobile number. Empty cells become null.
+ * The problems quote no cell contents, as they are logged.
+ * @param {string[]} cells service no, unique service no, name, address, ERO, mobile
+ * @param {{ circleCode: string, serviceNumber: string }} query
+ * @returns {{ record: ServiceDetails|null, problems: string[] }}
+ */
+function validateServiceRecord(cells, { circleCode, serviceNumber }) {
+  const requested = `${circleCode} ${serviceNumber}`;
+  const [serviceNo, uniqueServiceNo, customerName, address, ero, mobile] = cells.slice(0, 6).map((cell) => norm(cell) || null);
+  const mobileDigits = mobile && mobile.replace(/[\s-]/g, '').match(MOBILE);
+
+  const problems = [];
+  if (serviceNo !== requested) problems.push(serviceNo === null ? 'service number is missing' : 'service number is not the one requested');
+  if (!uniqueServiceNo) problems.push('unique service number is missing');
+  else if (!UNIQUE_SERVICE_NO.test(uniqueServiceNo)) problems.push('unique service number is not 5-12 digits');
+  if (mobile && !mobileDigits) problems.push('mobile is not a 10 digit mobile number');
+  if (problems.length > 0) return { record: null, problems };
+
+  return {
+    record: {
+      serviceNo, uniqueServiceNo, customerName, address, ero,
+      mobile: mobileDigits ? mobileDigits[1] : null, status: OUTCOMES.SUCCESS
+    },
+    problems
+  };
+}
+
+/**
+ * Parses the /getUkscno results page. Of the table rows with at least six
+ * cells, the one for the requested service number is the customer record;
+ * when there is none, or it fails validateServiceRecord, the page is reported
+ * as layout_changed with the problems found. So is a page with neither a
+ * results table nor a "no records" message.
+ * @param {string|import('cheerio').CheerioAPI} html
+ * @param {{ circleCode: string, serviceNumber: string }} query
+ * @returns {ServiceDetails}
+ */
+function parseServiceDetails(html, query) {
+  const $ = loadDocument(html);
+  const requested = `${query.circleCode} ${query.serviceNumber}`;
+  const rows = $('table tr').toArray()
+    .map((row) => $(row).find('td').toArray().map((cell) => $(cell).text()))
+    .filter((cells) => cells.length >= 6);
+  if (rows.length > 0) {
+    const cells = rows.find((row) => norm(row[0]) === requested) || rows[0];
+    const { record, problems } = validateServiceRecord(cells, query);
+    return record || { serviceNo: requested, status: OUTCOMES.LAYOUT_CHANGED, problems };
+  }
+  const noRecord = $('table').length > 0 || NO_RECORD_TEXT.test(norm($('body').text()));
+  return { serviceNo: requested, status: noRecord ? OUTCOMES.NOT_FOUND : OUTCOMES.LAYOUT_CHANGED };
+}
+
+// Picks the amount: current month bill first, then total amount payable,
+// then any ₹ amount on the page
+function findAmount($) {
+  // 1) Strictly prefer Current Month Bill
+  let amt = findByLabel($, /current\s*month\s*bill/i);
+  if (amt) return { rawAmount: amt, source: 'current_month_bill' };
+  // 2) Fallback to Total Amount Payable
+  amt = findByLabel($, /total\s*amount\s*payable/i);
+  if (amt) return { rawAmount: amt, source: 'total_amount_payable' };
+  // 3) Last resort: any visible ₹ on the page
+  $('script, style, noscript').remove();
+  const any = [...$('body').text().matchAll(/₹\s*[0-9][0-9,]*\.?[0-9]*/g)].map((m) => m[0].trim());
+  return any.length > 0 ? { rawAmount: any[0], source: 'page_fallback' } : null;
+}
+
+/**
+ * Reads the bill from the /billinginfo page, along with the bill and due
+ * dates when the page shows them.
+ * @param {string|import('cheerio').CheerioAPI} html
+ * @returns {BillInfo}
+ */
+function parseBill(html) {
+  const $ = loadDocument(html);
+  const bill = emptyBill();
+  bill.billDate = findByLabel($, /bill\s*date/i, parseDateText);
+  bill.dueDate = findByLabel($, /due\s*date/i, parseDateText);
+  const found = findAmount($);
+  if (found) Object.assign(bill, found, parseAmountValue(found.rawAmount));
+  return bill;
+}
+
+module.exports = {
+  parseAmountText, parseAmountValue, parseDateText, findByLabel, emptyBill, validateServiceRecord, parseServiceDetails, parseBill
+};
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+
+// Consumer details that are encrypted at rest and masked in logs and API responses
+const PII_FIELDS = ['customer_name', 'address', 'mobile'];
+
+// The same fields as they appear in lookup results and log metadata
+const PII_KEYS = new Set([...PII_FIELDS, 'customerName', 'unique_service_no', 'uniqueServiceNo', 'ukscno']);
+
+// Encrypted values look like enc:v1:<key id>:<iv>:<auth tag>:<ciphertext>, base64url encoded
+const PREFIX = 'enc:v1:';
+
+// Parses PII_ENCRYPTION_KEYS entries of the form id:base64key (32 byte keys).
+// The first key encrypts new values; the rest are only used to decrypt, which
+// is how a key is rotated out.
+function parseEncryptionKeys(entries) {
+  const keys = entries.map((entry) => {
+    const [id, encoded, ...rest] = entry.split(':').map((part) => part.trim());
+    const key = Buffer.from(encoded || '', 'base64');
+    if (!/^[A-Za-z0-9_-]+$/.test(id || '') || key.length !== 32 || rest.length > 0) {
+      throw new Error(`Invalid PII_ENCRYPTION_KEYS entry "${id || entry}": expected id:base64 with a 32 byte key`);
+    }
+    return { id, key };
+  });
+  if (new Set(keys.map((k) => k.id)).size !== keys.length) throw new Error('PII_ENCRYPTION_KEYS has duplicate key ids');
+  return keys;
+}
+
+// AES-256-GCM encryption of single field values
+function createPiiCipher(entries) {
+  const keys = parseEncryptionKeys(entries);
+  if (keys.length === 0) {
+    throw new Error('PII_ENCRYPTION_KEYS is not set; customer details cannot be stored in the clear');
+  }
+  const current = keys[0];
+
+  const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+  // Leaves null and empty values alone, there is nothing to protect
+  function encrypt(value) {
+    if (value == null || value === '') return value;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', current.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    return `${PREFIX}${current.id}:${[iv, cipher.getAuthTag(), ciphertext].map((b) => b.toString('base64url')).join(':')}`;
+  }
+
+  // Values written before encryption was enabled are returned unchanged
+  function decrypt(value) {
+    if (!isEncrypted(value)) return value;
+    const [id, iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+    const entry = keys.find((k) => k.id === id);
+    if (!entry) throw new Error(`PII value was encrypted with unknown key "${id}"`);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', entry.key, Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+  }
+
+  // Plaintext, or encrypted with a key other than the current one
+  function needsReencrypt(value) {
+    if (value == null || value === '') return false;
+    return !isEncrypted(value) || !value.startsWith(`${PREFIX}${current.id}:`);
+  }
+
+  return { currentKeyId: current.id, encrypt, decrypt, needsReencrypt, isEncrypted };
+}
+
+// Applies fn to the PII columns of a result row
+function mapPiiFields(row, fn) {
+  if (!row) return row;
+  const mapped = { ...row };
+  for (const field of PII_FIELDS) {
+    if (field in mapped) mapped[field] = fn(mapped[field]);
+  }
+  return mapped;
+}
+
+const encryptRow = (row, cipher) => mapPiiFields(row, cipher.encrypt);
+const decryptRow = (row, cipher) => mapPiiFields(row, cipher.decrypt);
+
+// Keeps the first and last two characters: 9876543221 -> 98******21.
+// Short values are masked completely.
+function maskValue(value) {
+  if (value == null || value === '') return value;
+  const text = String(value);
+  if (text.length < 6) return '*'.repeat(text.length);
+  return `${text.slice(0, 2)}${'*'.repeat(text.length - 4)}${text.slice(-2)}`;
+}
+
+const maskRow = (row) => mapPiiFields(row, maskValue);
+
+// Ten digit Indian mobile numbers, wherever they turn up in a log message
+const MOBILE_PATTERN = /\b[6-9]\d{9}\b/g;
+
+// Masks PII keys in log metadata (a few levels deep) and mobile numbers in text
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return value.replace(MOBILE_PATTERN, maskValue);
+  if (!value || typeof value !== 'object' || depth > 3 || value instanceof Error) return value;
+  const copy = Array.isArray(value) ? [] : {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = PII_KEYS.has(key) && (typeof item === 'string' || typeof item === 'number')
+      ? maskValue(item)
+      : redact(item, depth + 1);
+  }
+  return copy;
+}
+
+// Re-encrypts stored results with the current key: rows still in plaintext
+// and rows encrypted with a key that is being rotated out. 'Not Found'
+// placeholders left by older versions are cleared on the way.
+async function reencryptResults({ storage, cipher, logger, batchSize = 500 }) {
+  let afterId = 0;
+  let updated = 0;
+  let failed = 0;
+  for (;;) {
+    const rows = await storage.listResultRows({ afterId, limit: batchSize });
+    if (!rows) throw new Error('Could not read tgspdcl_automation_data');
+    if (rows.length === 0) break;
+    for (const row of rows) {
+      const fields = {};
+      for (const field of PII_FIELDS) {
+        if (row[field] == null || row[field] === '') continue;
+        const value = cipher.decrypt(row[field]);
+        // Older versions stored 'Not Found' for empty cells
+        if (value === 'Not Found') fields[field] = null;
+        else if (cipher.needsReencrypt(row[field])) fields[field] = cipher.encrypt(value);
+      }
+      if (Object.keys(fields).length === 0) continue;
+      if (await storage.updateResultRow(row.id, fields)) updated++;
+      else failed++;
+    }
+    afterId = rows[rows.length - 1].id;
+    logger.info(`Re-encrypted ${updated} results so far (up to id ${afterId})`);
+  }
+  return { updated, failed };
+}
+
+module.exports = {
+  PII_FIELDS, parseEncryptionKeys, createPiiCipher, encryptRow, decryptRow, maskValue, maskRow, redact, reencryptResults
+};
@@ -0,0 +1,102 @@
+const { OUTCOMES, isFailure } = require('./outcomes');
+const { backoffDelay, sleep: defaultSleep } = require('./backoff');
+
+// Keeps our load on the TGSPDCL portal polite: a requests-per-minute budget
+// for page loads and form posts, and a circuit breaker over lookups that opens
+// when the portal times out or answers 5xx/429, and reports both for /status.
+function createPortalGuard({
+  requestsPerMinute = 60, breakerThreshold = 5, breakerBaseMs = 30000, breakerMaxMs = 600000,
+  logger, now = Date.now, sleep = defaultSleep
+}) {
+  // Requests are spaced evenly, so the budget is never spent in a burst
+  const intervalMs = requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0;
+  let nextSlot = 0;
+  let serverErrors = 0;
+  const stats = { requests: 0, serverErrors: 0, throttledMs: 0 };
+  const breaker = {
+    state: 'closed', consecutiveFailures: 0, opens: 0, openUntil: null, lastOpenedAt: null, lastFailure: null
+  };
+
+  // Waits for the next request slot in the budget
+  async function acquire() {
+    const at = now();
+    const slot = Math.max(at, nextSlot);
+    nextSlot = slot + intervalMs;
+    stats.requests++;
+    if (slot > at) {
+      stats.throttledMs += slot - at;
+      await sleep(slot - at);
+    }
+  }
+
+  // Status of a portal response; 5xx and 429 mean the portal is struggling
+  function recordResponse(status) {
+    if (status === 429 || status >= 500) {
+      serverErrors++;
+      stats.serverErrors++;
+    }
+  }
+
+  // Opens the breaker for the next backoff period: breakerBaseMs, then
+  // doubling each time a trial lookup fails, up to breakerMaxMs
+  function open(reason) {
+    const delay = backoffDelay(breaker.opens, { baseMs: breakerBaseMs, maxMs: breakerMaxMs });
+    Object.assign(breaker, {
+      state: 'open', opens: breaker.opens + 1, openUntil: now() + delay,
+      lastOpenedAt: new Date(now()).toISOString(), lastFailure: reason
+    });
+    logger.warn(`Portal circuit breaker open for ${delay}ms after ${breaker.consecutiveFailures} failed lookups (${reason})`);
+  }
+
+  // Wraps one lookup: call finish(...outcomes) once it is done, with the
+  // outcome of each page involved. A lookup fails the breaker when any page
+  // timed out or the portal answered 5xx/429 along the way, and closes it when
+  // the portal gave a clean answer. Other errors (a browser crash, say) say
+  // nothing about the portal and leave the breaker as it is.
+  function startLookup() {
+    const errorsBefore = serverErrors;
+    return {
+      finish(...outcomes) {
+        const overloaded = serverErrors > errorsBefore;
+        if (!overloaded && !outcomes.includes(OUTCOMES.TIMEOUT)) {
+          if (outcomes.some((outcome) => outcome && isFailure(outcome))) return;
+          if (breaker.state !== 'closed') logger.info('Portal circuit breaker closed; the portal is answering again');
+          Object.assign(breaker, { state: 'closed', consecutiveFailures: 0, opens: 0, openUntil: null });
+          return;
+        }
+        breaker.consecutiveFailures++;
+        const reason = overloaded ? 'server error' : 'timeout';
+        // One failed trial is enough to open again, for longer
+        if (breaker.state === 'half_open' || breaker.consecutiveFailures >= breakerThreshold) open(reason);
+      }
+    };
+  }
+
+  // Milliseconds until the next lookup may start; 0 when the breaker is closed.
+  // Once an open period is over a single trial lookup is let through.
+  function openFor() {
+    if (breaker.state !== 'open') return 0;
+    const remaining = breaker.openUntil - now();
+    if (remaining > 0) return remaining;
+    breaker.state = 'half_open';
+    logger.info('Portal circuit breaker half-open; trying one lookup');
+    return 0;
+  }
+
+  function health() {
+    return {
+      breaker: breaker.state,
+      consecutiveFailures: breaker.consecutiveFailures,
+      opens: breaker.opens,
+      openUntil: breaker.state === 'open' ? new Date(breaker.openUntil).toISOString() : null,
+      lastOpenedAt: breaker.lastOpenedAt,
+      lastFailure: breaker.lastFailure,
+      requestsPerMinute,
+      ...stats
+    };
+  }
+
+  return { acquire, recordResponse, startLookup, openFor, health };
+}
+
+module.exports = { createPortalGuard };
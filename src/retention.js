@@ -0,0 +1,96 @@
+const fs = require('fs/promises');
+const path = require('path');
+const cron = require('node-cron');
+
+// Result columns purged together. A group's age is taken from updated_at,
+// the last time the consumer was looked up.
+const FIELD_GROUPS = {
+  contact: ['customer_name', 'address', 'mobile'],
+  bill: ['bill_amount', 'bill_currency', 'bill_amount_source', 'bill_amount_text', 'bill_date', 'due_date']
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Daily log files from src/logger.js (combined-2024-01-15.log, error-2024-01-15.log.1, ...)
+const DAILY_LOG = /^(?:combined|error)-(\d{4}-\d{2}-\d{2})\.log(?:\.\d+)?$/;
+
+// Files written before logs were kept by day (combined.log, error2.log, ...)
+const OLD_LOG = /^(?:combined|error)\d*\.log$/;
+
+// Retention of scraped data, layout snapshots (when given the snapshot store)
+// and log files, plus erasure on request. Every purge is recorded in purge_audit.
+function createRetention({ config, storage, logger, snapshots = null, logDir = '.', now = () => new Date() }) {
+  const { contactDays, billDays, recordDays, snapshotDays, logDays, schedule } = config.retention;
+
+  const cutoff = (days) => new Date(now().getTime() - days * DAY_MS).toISOString();
+
+  async function audit(action, fields) {
+    await storage.recordAudit({ action, ...fields, performed_at: now().toISOString() });
+  }
+
+  // Deletes a day's log files once the day began more than logDays ago: none
+  // of their entries is kept longer, though the day's last ones go up to a day
+  // early. Files from before daily logs go by when they were last written.
+  async function purgeLogFiles() {
+    if (!logDays) return 0;
+    const before = now().getTime() - logDays * DAY_MS;
+    let removed = 0;
+    for (const name of await fs.readdir(logDir)) {
+      const daily = DAILY_LOG.exec(name);
+      if (!daily && !OLD_LOG.test(name)) continue;
+      const file = path.join(logDir, name);
+      const startedMs = daily ? Date.parse(`${daily[1]}T00:00:00Z`) : (await fs.stat(file)).mtimeMs;
+      if (startedMs < before) {
+        await fs.unlink(file);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // One pass of the retention policy. A period of 0 days keeps that group forever.
+  async function purgeExpired() {
+    const summary = {};
+    const step = async (name, days, run, details) => {
+      if (!days) return;
+      const count = await run(cutoff(days));
+      if (count === null) throw new Error(`Retention purge of ${name} failed`);
+      summary[name] = count;
+      if (count > 0) await audit('retention_purge', { field_group: name, rows_affected: count, actor: 'retention-job', details: { days, ...details } });
+    };
+    await step('contact', contactDays, (before) => storage.clearResultFields(FIELD_GROUPS.contact, before), { fields: FIELD_GROUPS.contact });
+    await step('bill', billDays, (before) => storage.clearResultFields(FIELD_GROUPS.bill, before), { fields: FIELD_GROUPS.bill });
+    await step('bill_history', billDays, (before) => storage.deleteBillHistory({ before }));
+    await step('record', recordDays, (before) => storage.deleteResults({ before }));
+    if (snapshots) await step('snapshots', snapshotDays, (before) => snapshots.purgeBefore(new Date(before)));
+    await step('logs', logDays, () => purgeLogFiles());
+    logger.info('Retention purge finished', { purged: summary });
+    return summary;
+  }
+
+  // Deletes everything stored for a consumer, e.g. on a removal request
+  async function eraseServiceNumber({ service_no, unique_service_no }, { actor, reason = null } = {}) {
+    const counts = await storage.eraseResults({ service_no, unique_service_no });
+    if (!counts) throw new Error('Could not erase results');
+    if (snapshots && service_no) counts.snapshots = await snapshots.eraseServiceNo(service_no);
+    await audit('erasure', {
+      field_group: 'all', rows_affected: counts.results + counts.bill_history, actor,
+      service_no: service_no || null, unique_service_no: unique_service_no || null, details: { ...counts, reason }
+    });
+    logger.info('Erased stored data for a consumer', { service_no, unique_service_no, counts, actor });
+    return counts;
+  }
+
+  // Runs purgeExpired on the cron schedule; returns the node-cron task
+  function start() {
+    if (!cron.validate(schedule)) throw new Error(`Invalid PURGE_SCHEDULE "${schedule}"`);
+    logger.info(`Retention purge scheduled (${schedule})`, { contactDays, billDays, recordDays, snapshotDays, logDays });
+    return cron.schedule(schedule, () => {
+      purgeExpired().catch((error) => logger.error(`Retention purge failed: ${error.message}`));
+    });
+  }
+
+  return { purgeExpired, eraseServiceNumber, start };
+}
+
+module.exports = { FIELD_GROUPS, createRetention };
@@ -0,0 +1,41 @@
+const express = require('express');
+const { createJobs, JobError } = require('../jobs');
+const { createHandler } = require('../api-errors');
+
+// REST routes for circle jobs, mounted at /jobs:
+//   POST /jobs, GET /jobs?status=, GET /jobs/:id,
+//   POST /jobs/:id/pause|resume|cancel|retry
+function createJobsRouter({ storage, logger, persistFields }) {
+  const jobs = createJobs({ storage, logger, persistFields });
+  const router = express.Router();
+
+  const handle = createHandler({ label: 'Jobs', logger });
+
+  // Job ids are circle_codes ids
+  const jobId = (req) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) throw new JobError('invalid', `Invalid job id "${req.params.id}"`);
+    return id;
+  };
+
+  router.post('/', handle(async (req, res) => {
+    res.status(201).json({ job: await jobs.create(req.body) });
+  }));
+
+  router.get('/', handle(async (req, res) => {
+    const list = await jobs.list({ status: req.query.status ? String(req.query.status).toUpperCase() : undefined });
+    res.json({ count: list.length, jobs: list });
+  }));
+
+  router.get('/:id', handle(async (req, res) => {
+    res.json({ job: await jobs.get(jobId(req)) });
+  }));
+
+  router.post('/:id/:action(pause|resume|cancel|retry)', handle(async (req, res) => {
+    res.json({ job: await jobs.act(jobId(req), req.params.action, { fromStart: req.body?.fromStart === true }) });
+  }));
+
+  return router;
+}
+
+module.exports = { createJobsRouter };
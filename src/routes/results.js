@@ -0,0 +1,45 @@
+const express = require('express');
+const { maskRow } = require('../pii');
+const { ApiError, createHandler } = require('../api-errors');
+
+// Stored lookups, mounted at /results:
+//   GET /results?service_no=1213 001  or  ?unique_service_no=110011001
+//   DELETE /results?service_no=...    erases everything stored for the consumer
+// Customer details are masked unless the caller's key has the admin role.
+function createResultsRouter({ storage, auth, retention, logger }) {
+  const router = express.Router();
+  const handle = createHandler({ label: 'Results', logger });
+
+  // Both lookups take a service number, a unique service number or both
+  const consumerQuery = (req) => {
+    const { service_no, unique_service_no } = req.query;
+    if (typeof service_no !== 'string' && typeof unique_service_no !== 'string') {
+      throw new ApiError('invalid', 'Pass service_no or unique_service_no');
+    }
+    return { service_no, unique_service_no };
+  };
+
+  router.get('/', handle(async (req, res) => {
+    const rows = await storage.findResults(consumerQuery(req));
+    if (!rows) throw new ApiError('storage', 'Could not read results');
+    const unmasked = req.auth && auth.hasRole(req.auth, 'admin');
+    res.json({ count: rows.length, masked: !unmasked, results: unmasked ? rows : rows.map(maskRow) });
+  }));
+
+  // Erasure on request; recorded in purge_audit with the caller's key name
+  router.delete('/', handle(async (req, res) => {
+    const query = consumerQuery(req);
+    let deleted;
+    try {
+      deleted = await retention.eraseServiceNumber(query, { actor: req.auth?.name || null, reason: req.body?.reason || null });
+    } catch (error) {
+      logger.error(`Erasure failed: ${error.message}`);
+      throw new ApiError('storage', 'Could not erase results');
+    }
+    res.json({ deleted });
+  }));
+
+  return router;
+}
+
+module.exports = { createResultsRouter };
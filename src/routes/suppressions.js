@@ -0,0 +1,33 @@
+const express = require('express');
+const { createHandler } = require('../api-errors');
+const { SuppressionError, createSuppressions } = require('../suppressions');
+
+// The suppression list, mounted at /suppressions:
+//   GET /suppressions, POST /suppressions, DELETE /suppressions/:id
+// Adding an entry also erases the consumer's stored results.
+function createSuppressionsRouter({ storage, retention, list, logger }) {
+  const suppressions = createSuppressions({ storage, retention, list, logger });
+  const router = express.Router();
+
+  const handle = createHandler({ label: 'Suppressions', logger });
+
+  router.get('/', handle(async (req, res) => {
+    const rows = await suppressions.list();
+    res.json({ count: rows.length, suppressions: rows });
+  }));
+
+  router.post('/', handle(async (req, res) => {
+    res.status(201).json(await suppressions.add(req.body, { actor: req.auth?.name || null }));
+  }));
+
+  router.delete('/:id', handle(async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) throw new SuppressionError('invalid', `Invalid suppression id "${req.params.id}"`);
+    await suppressions.remove(id, { actor: req.auth?.name || null });
+    res.status(204).end();
+  }));
+
+  return router;
+}
+
+module.exports = { createSuppressionsRouter };
@@ -0,0 +1,186 @@
+const MINUTE_MS = 60 * 1000;
+
+// How far ahead the next window is looked for
+const SEARCH_HOURS = 8 * 24;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// The five cron fields; names may be written in full or as their first three letters
+const FIELDS = [
+  { key: 'minute', min: 0, max: 59 },
+  { key: 'hour', min: 0, max: 23 },
+  { key: 'day', min: 1, max: 31 },
+  { key: 'month', min: 1, max: 12, names: MONTHS, first: 1 },
+  { key: 'weekday', min: 0, max: 7, names: WEEKDAYS, first: 0 }
+];
+
+// The values one field matches, from a list of *, n, n-m, each with an optional /step
+function parseField(text, { min, max, names, first }) {
+  const number = (token) => {
+    if (/^\d+$/.test(token)) return Number(token);
+    const index = names ? names.findIndex((name) => token.toLowerCase() === name || token.toLowerCase() === name.slice(0, 3)) : -1;
+    if (index === -1) throw new Error(`"${token}" is not a value`);
+    return index + first;
+  };
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = part.match(/^(?:(\*)|(\w+)(?:-(\w+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`"${part}" is not a cron field`);
+    const [, any, from, to, step] = match;
+    const low = any ? min : number(from);
+    const high = any ? max : to ? number(to) : step ? max : low;
+    const by = step ? Number(step) : 1;
+    if (low < min || high > max || low > high || by < 1) throw new Error(`"${part}" is out of range`);
+    for (let value = low; value <= high; value += by) values.add(value);
+  }
+  return values;
+}
+
+// Checks a run window expression: five cron fields, no seconds.
+// Returns an error message, or null when it is fine.
+function windowError(expression) {
+  try {
+    parseExpression(expression);
+    return null;
+  } catch {
+    return `"${expression}" is not a five field cron expression, e.g. "* 22-23,0-5 * * *"`;
+  }
+}
+
+// { minute, hour, day, month, weekday } sets of matching values; Sunday is 0 (or 7)
+function parseExpression(expression) {
+  const parts = typeof expression === 'string' ? expression.trim().split(/\s+/) : [];
+  if (parts.length !== FIELDS.length) throw new Error('expected five fields');
+  const fields = {};
+  FIELDS.forEach((field, i) => { fields[field.key] = parseField(parts[i], field); });
+  if (fields.weekday.delete(7)) fields.weekday.add(0);
+  return fields;
+}
+
+// Wall-clock time in timezone (or the server's time zone) as cron fields
+function createClock(timezone) {
+  if (!timezone) {
+    return (ms) => {
+      const date = new Date(ms);
+      return { minute: date.getMinutes(), hour: date.getHours(), day: date.getDate(), month: date.getMonth() + 1, weekday: date.getDay() };
+    };
+  }
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone, hourCycle: 'h23', month: 'numeric', day: 'numeric', weekday: 'long', hour: 'numeric', minute: 'numeric'
+  });
+  return (ms) => {
+    const parts = Object.fromEntries(format.formatToParts(new Date(ms)).map(({ type, value }) => [type, value]));
+    return {
+      minute: Number(parts.minute), hour: Number(parts.hour), day: Number(parts.day), month: Number(parts.month),
+      weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase())
+    };
+  };
+}
+
+// A run window: the minutes its cron expression matches. "* 22-23,0-5 * * *"
+// is 22:00 to 05:59 every day, "* 9-17 * * 1-5" office hours on weekdays.
+// A day must match both the day of month and the day of week fields.
+// Times are in timezone when given, otherwise the server's local time.
+function createRunWindow(expression, { timezone = null } = {}) {
+  const error = windowError(expression);
+  if (error) throw new Error(`Invalid run window: ${error}`);
+  const fields = parseExpression(expression);
+  let clock;
+  try {
+    clock = createClock(timezone);
+  } catch (cause) {
+    throw new Error(`Invalid SCHEDULE_TIMEZONE "${timezone}": ${cause.message}`);
+  }
+  const floor = (ms) => ms - (ms % MINUTE_MS);
+  const hourOpen = (time) => fields.month.has(time.month) && fields.day.has(time.day) && fields.weekday.has(time.weekday) && fields.hour.has(time.hour);
+
+  const isOpen = (date = new Date()) => {
+    const time = clock(date.getTime());
+    return hourOpen(time) && fields.minute.has(time.minute);
+  };
+
+  // From the minute at ms, the first minute within the same hour for which
+  // open(minute) is wanted, or null when there is none before the next hour
+  function nextMinute(ms, time, wanted) {
+    for (let minute = time.minute; minute < 60; minute++) {
+      if (fields.minute.has(minute) === wanted) return ms + (minute - time.minute) * MINUTE_MS;
+    }
+    return null;
+  }
+
+  // Walks forward from ms an hour at a time, until the first minute that is
+  // open (wanted true) or closed (wanted false); null past the search period
+  function seek(ms, wanted) {
+    let at = ms;
+    for (let hours = 0; hours <= SEARCH_HOURS; hours++) {
+      const time = clock(at);
+      const found = hourOpen(time) ? nextMinute(at, time, wanted) : (wanted ? null : at);
+      if (found !== null) return found;
+      at += (60 - time.minute) * MINUTE_MS;
+    }
+    return null;
+  }
+
+  // The window that is open at from, or the next one to open: { start, end }.
+  // end is null for a window that does not close within the search period,
+  // and the result is null when no window opens within it.
+  function nextWindow(from = new Date()) {
+    const start = seek(floor(from.getTime()), true);
+    if (start === null) return null;
+    const end = seek(start, false);
+    return { start: new Date(Math.max(start, from.getTime())).toISOString(), end: end === null ? null : new Date(end).toISOString() };
+  }
+
+  return { expression: expression.trim(), isOpen, nextWindow };
+}
+
+// When circles may be walked: a job's run_window when it has one, otherwise
+// the global RUN_WINDOW. Without either, any time.
+function createSchedule({ window = null, timezone = null, now = () => new Date() } = {}) {
+  const windows = new Map();
+  const windowOf = (expression) => {
+    if (!windows.has(expression)) windows.set(expression, createRunWindow(expression, { timezone }));
+    return windows.get(expression);
+  };
+  // Fails at startup on a bad RUN_WINDOW or SCHEDULE_TIMEZONE
+  const globalWindow = window ? windowOf(window) : null;
+
+  const windowFor = (circle) => (circle && circle.run_window ? windowOf(circle.run_window) : globalWindow);
+
+  // A job whose window cannot be parsed never runs
+  function isOpen(circle) {
+    try {
+      const runWindow = windowFor(circle);
+      return !runWindow || runWindow.isOpen(now());
+    } catch {
+      return false;
+    }
+  }
+
+  // For /status: a window, whether it is open and when it next opens
+  function describe(circle) {
+    let runWindow;
+    try {
+      runWindow = windowFor(circle);
+    } catch (error) {
+      return { window: circle.run_window, open: false, nextWindow: null, error: error.message };
+    }
+    if (!runWindow) return { window: null, open: true, nextWindow: null };
+    const at = now();
+    return { window: runWindow.expression, open: runWindow.isOpen(at), nextWindow: runWindow.nextWindow(at) };
+  }
+
+  // The global window, plus the current circle's own window when it has one
+  function status(circle = null) {
+    return {
+      timezone: timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+      ...describe(null),
+      ...(circle && circle.run_window && { circle: { circle_code: circle.circle_code, ...describe(circle) } })
+    };
+  }
+
+  return { isOpen, status };
+}
+
+module.exports = { windowError, createRunWindow, createSchedule };
@@ -0,0 +1,261 @@
+const puppeteer = require('puppeteer');
+const { parseServiceDetails, parseBill, emptyBill } = require('./parsers');
+const { OUTCOMES, ScrapeError, classifyError } = require('./outcomes');
+const { maskValue } = require('./pii');
+
+const userAgents = [
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4.1 Safari/605.1.15',
+  'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:125.0) Gecko/20100101 Firefox/125.0'
+];
+
+// Resource types never loaded, and the ones that count against the portal budget
+const BLOCKED_RESOURCES = ['image', 'stylesheet', 'font', 'media'];
+const BUDGETED_RESOURCES = ['document', 'xhr', 'fetch'];
+
+// Browser-side lookups against the TGSPDCL portal. baseUrl is configurable so
+// the same code can run against local copies of the portal pages.
+// With a guard (see src/portal-guard.js), page loads and form posts to the
+// portal wait for the request budget and report their HTTP status; the wait
+// comes before a navigation starts, so it never counts against the
+// navigation's timeout. With
+// snapshots (see src/snapshots.js), pages missing the expected input or
+// results table are saved for inspection. With metrics (see src/metrics.js),
+// both fetches are timed.
+function createScraper({ baseUrl = 'https://tgsouthernpower.org', logger, launchOptions = {}, guard = null, snapshots = null, metrics = null }) {
+  const portalOrigin = new URL(baseUrl).origin;
+  const isBudgeted = (request) => BUDGETED_RESOURCES.includes(request.resourceType()) && request.url().startsWith(portalOrigin);
+  const snapshot = (page, label, options) => (snapshots ? snapshots.capture(page, label, options) : null);
+
+  // Pages whose next navigation has already taken its request slot
+  const prepaid = new WeakSet();
+
+  // Waits for a request slot before a page load or form post is started. A
+  // slot taken for a post that turns out not to navigate is simply not used.
+  async function reserve(page) {
+    if (!guard) return;
+    await guard.acquire();
+    prepaid.add(page);
+  }
+
+  // Puppeteer setup. Signals are left to src/shutdown.js, which closes the
+  // browser once the in-flight lookup is done; Puppeteer would kill it at once.
+  async function setupBrowser() {
+    try {
+      const browser = await puppeteer.launch({
+        headless: "new",
+        handleSIGTERM: false,
+        handleSIGINT: false,
+        handleSIGHUP: false,
+        ...launchOptions,
+        args: [
+          '--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage',
+          '--disable-gpu', '--disable-infobars', '--window-size=1920,1080',
+          '--no-zygote', '--single-process'
+        ]
+      });
+      logger.info('Browser setup completed');
+      return browser;
+    } catch (error) {
+      logger.error('Browser setup failed:', error);
+      throw error;
+    }
+  }
+
+  // Scraper for service details. isSuppressed(uniqueServiceNo) keeps the
+  // results page of a suppressed consumer out of the layout snapshots.
+  async function fetchServiceDetails(page, circleCode, serviceNumber, { isSuppressed = () => false } = {}) {
+    try {
+      await reserve(page);
+      await page.goto(`${baseUrl}/getUkscno`, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      await page.waitForSelector('#ukscno', { timeout: 15000 }).catch(() => {
+        throw new ScrapeError(OUTCOMES.LAYOUT_CHANGED, '#ukscno input not found on /getUkscno');
+      });
+      await page.type('#ukscno', `${circleCode} ${serviceNumber}`, { delay: 0 });
+      await reserve(page);
+      await Promise.all([
+        page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 25000 }).catch(() => null),
+        page.click('button[type="submit"]')
+      ]);
+      await page.waitForSelector('table', { timeout: 10000 }).catch(() => null);
+
+      const html = await page.content();
+      const details = parseServiceDetails(html, { circleCode, serviceNumber });
+      if (details.problems) logger.warn(`Rejected the record for ${circleCode}-${serviceNumber}: ${details.problems.join('; ')}`);
+      // A rejected row may still be a suppressed consumer's: any number on the page will do
+      const suppressed = (html.match(/\b\d{5,12}\b/g) || []).some(isSuppressed);
+      if (details.status === OUTCOMES.LAYOUT_CHANGED && !suppressed) {
+        await snapshot(page, `results-${circleCode}-${serviceNumber}`, { customerData: true });
+      }
+      return details;
+    } catch (error) {
+      const status = classifyError(error);
+      logger.error(`Fetch Details Error for ${circleCode}-${serviceNumber} (${status}): ${error.message}`);
+      if (status === OUTCOMES.LAYOUT_CHANGED) await snapshot(page, `getUkscno-${circleCode}-${serviceNumber}`);
+      return { serviceNo: `${circleCode} ${serviceNumber}`, status };
+    }
+  }
+
+  // **REPLACED FUNCTION** - Using the proven logic you provided
+  // Resolves to the parsed bill plus a status: success, bill_unavailable, or the error outcome
+  async function fetchBillAmount(page, ukscno) {
+    try {
+      if (!ukscno) {
+        return { ...emptyBill(), status: OUTCOMES.BILL_UNAVAILABLE };
+      }
+
+      await reserve(page);
+      await page.goto(`${baseUrl}/getBillAmount`, {
+        waitUntil: 'domcontentloaded',
+        timeout: 30000
+      });
+
+      // Try multiple input selectors; fall back if not found
+      const candidateSelectors = [
+        '#ukscno',
+        "input[name='ukscno']",
+        "input[id*='ukscno' i]",
+        "input[id*='uksc' i]",
+        "input[type='text']"
+      ];
+      let inputSelector = null;
+      for (const sel of candidateSelectors) {
+        try {
+          await page.waitForSelector(sel, { timeout: 3000 });
+          inputSelector = sel;
+          break;
+        } catch {}
+      }
+      if (inputSelector) {
+        await page.click(inputSelector, { clickCount: 3 }).catch(() => {});
+        await page.type(inputSelector, ukscno, { delay: 0 });
+      } else {
+        // If input not found, try direct navigation to billing page with query params
+        const directUrls = [
+          `${baseUrl}/billinginfo?ukscno=${encodeURIComponent(ukscno)}`,
+          `${baseUrl}/billinginfo?uniqueServiceNo=${encodeURIComponent(ukscno)}`
+        ];
+        for (const url of directUrls) {
+          try {
+            await reserve(page);
+            await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+            break;
+          } catch {}
+        }
+      }
+
+      // Find and click submit button
+      if (inputSelector) await reserve(page);
+      const submitButton = await page.$x("//button[contains(text(), 'Submit') or contains(text(), 'SUBMIT')]");
+      const navOrResults = Promise.race([
+        page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 25000 }).catch(() => null),
+        page.waitForFunction(() => {
+          const hasRows = document.querySelectorAll('table tr').length > 0;
+          const hasTable = document.querySelector('table') !== null;
+          const hasTds = document.querySelectorAll('td').length > 0;
+          return hasRows || hasTable || hasTds || /billinginfo/i.test(location.href);
+        }, { timeout: 25000 }).catch(() => null)
+      ]);
+      if (inputSelector && submitButton.length > 0) {
+        await Promise.all([
+          submitButton[0].click(),
+          navOrResults
+        ]);
+      } else if (inputSelector) {
+        await Promise.all([
+          page.keyboard.press('Enter'),
+          navOrResults
+        ]);
+      }
+
+      // Ensure we are on billinginfo page; if not, navigate directly as a fallback
+      try {
+        await page.waitForFunction(() => /billinginfo/i.test(location.href), { timeout: 5000 });
+      } catch {}
+      if (!/billinginfo/i.test(page.url())) {
+        try {
+          await reserve(page);
+          await page.goto(`${baseUrl}/billinginfo?ukscno=${encodeURIComponent(ukscno)}`, {
+            waitUntil: 'domcontentloaded',
+            timeout: 30000
+          });
+        } catch {}
+      }
+
+      await page.waitForSelector('table', { timeout: 4000 }).catch(() => null);
+
+      const bill = parseBill(await page.content());
+      if (bill.amount !== null) return { ...bill, status: OUTCOMES.SUCCESS };
+      // No amount and no bill table at all: not a consumer without a bill, but a page we do not recognise
+      if (!(await page.$('table'))) {
+        await snapshot(page, 'billinginfo', { customerData: true });
+        return { ...bill, status: OUTCOMES.LAYOUT_CHANGED };
+      }
+      return { ...bill, status: OUTCOMES.BILL_UNAVAILABLE };
+    } catch (error) {
+      const status = classifyError(error);
+      logger.error(`Error fetching bill amount for UKSCNO ${maskValue(ukscno)} (${status}): ${error.message}`);
+      return { ...emptyBill(), status };
+    }
+  }
+
+  // Opens a tab with a random user agent and heavy resources blocked
+  async function openPage(browser) {
+    const page = await browser.newPage();
+    await page.setDefaultNavigationTimeout(45000);
+    await page.setViewport({ width: 1920, height: 1080 });
+    await page.setUserAgent(userAgents[Math.floor(Math.random() * userAgents.length)]);
+    await page.setRequestInterception(true);
+    page.on('request', (req) => {
+      if (BLOCKED_RESOURCES.includes(req.resourceType())) return req.abort();
+      if (!guard || !isBudgeted(req)) return req.continue();
+      // A navigation that reserve() took a slot for goes straight through
+      if (req.isNavigationRequest() && prepaid.delete(page)) return req.continue();
+      // Other requests (the page's own XHR, redirects) wait for a slot here.
+      // The page may have closed while the request waited for its slot
+      guard.acquire().then(() => req.continue()).catch(() => {});
+    });
+    if (guard) {
+      page.on('response', (res) => {
+        if (isBudgeted(res.request())) guard.recordResponse(res.status());
+      });
+    }
+    return page;
+  }
+
+  // Records how long a fetch took, by its outcome
+  function timed(step, fetch) {
+    if (!metrics) return fetch;
+    return async (...args) => {
+      const done = metrics.timeFetch(step);
+      const result = await fetch(...args);
+      done(result.status);
+      return result;
+    };
+  }
+  const fetchDetails = timed('service_details', fetchServiceDetails);
+  const fetchBill = timed('bill_amount', fetchBillAmount);
+
+  // Orchestrates a single lookup. A consumer whose bill could not be read is
+  // reported as bill_unavailable, with the bill lookup's own outcome in billStatus.
+  // isSuppressed(uniqueServiceNo) stops the lookup before the bill is requested.
+  async function processService(page, circleCode, serviceNumber, { isSuppressed = () => false } = {}) {
+    const serviceDetails = await fetchDetails(page, circleCode, serviceNumber, { isSuppressed });
+    if (serviceDetails.status === OUTCOMES.SUCCESS && isSuppressed(serviceDetails.uniqueServiceNo)) {
+      return { serviceNo: serviceDetails.serviceNo, status: OUTCOMES.SUPPRESSED, processedAt: new Date().toISOString() };
+    }
+    let bill = emptyBill();
+    let billStatus = null;
+    let status = serviceDetails.status;
+    if (serviceDetails.status === OUTCOMES.SUCCESS) {
+      ({ status: billStatus, ...bill } = await fetchBill(page, serviceDetails.uniqueServiceNo));
+      if (billStatus !== OUTCOMES.SUCCESS) status = OUTCOMES.BILL_UNAVAILABLE;
+    }
+    return { ...serviceDetails, status, billStatus, bill, processedAt: new Date().toISOString() };
+  }
+
+  return { setupBrowser, openPage, fetchServiceDetails: fetchDetails, fetchBillAmount: fetchBill, processService };
+}
+
+module.exports = { createScraper, userAgents };
@@ -0,0 +1,32 @@
+// Service numbers as the portal writes them: a circle code and a number zero
+// padded to the circle's digit count, e.g. "1213 001". The same consumer can
+// be named without the padding ("1213 1"), so they are compared as numbers.
+const SERVICE_NO = /^(\d{3,5}) (\d{1,6})$/;
+
+// Unique service numbers (USCNO) are all digits
+const UNIQUE_SERVICE_NO = /^\d{5,12}$/;
+
+const MAX_DIGITS = 6;
+
+// The service number without zero padding ("1213 1"), or null when it is not
+// a service number
+function canonicalServiceNo(serviceNo) {
+  const match = SERVICE_NO.exec(String(serviceNo ?? '').trim().replace(/\s+/g, ' '));
+  return match ? `${match[1]} ${Number(match[2])}` : null;
+}
+
+// Every padding of a service number ("1213 1", "1213 01" ... "1213 000001"),
+// for matching stored rows in a query; anything else is matched as it is
+function serviceNoForms(serviceNo) {
+  const canonical = canonicalServiceNo(serviceNo);
+  if (!canonical) return [serviceNo];
+  const [circleCode, number] = canonical.split(' ');
+  const forms = [];
+  for (let digits = number.length; digits <= MAX_DIGITS; digits++) forms.push(`${circleCode} ${number.padStart(digits, '0')}`);
+  return forms;
+}
+
+// Whether two service numbers name the same consumer
+const sameServiceNo = (a, b) => Boolean(a) && (a === b || (canonicalServiceNo(a) !== null && canonicalServiceNo(a) === canonicalServiceNo(b)));
+
+module.exports = { SERVICE_NO, UNIQUE_SERVICE_NO, canonicalServiceNo, serviceNoForms, sameServiceNo };
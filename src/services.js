@@ -0,0 +1,34 @@
+const { createStorage } = require('./storage');
+const { createScraper } = require('./scraper');
+const { createEngine } = require('./engine');
+const { createSuppressionList } = require('./suppressions');
+const { createPortalGuard } = require('./portal-guard');
+const { createSnapshotStore } = require('./snapshots');
+const { createMetrics } = require('./metrics');
+const { createRetention } = require('./retention');
+
+// Everything server.js and the operator CLI share, wired the same way so both
+// honour the same config and safeguards: the portal request budget and
+// circuit breaker, layout snapshots, the suppression list and retention.
+function createServices({ config, logger, metrics = createMetrics() }) {
+  // Storage (Supabase or local file, chosen by STORAGE_BACKEND)
+  const storage = createStorage(config, logger);
+
+  // Portal scraper, within the request budget and circuit breaker shared with the engine.
+  // Pages that do not look as expected are saved to SNAPSHOT_DIR.
+  const portal = createPortalGuard({ ...config.portal, logger });
+  const snapshots = createSnapshotStore({ dir: config.layout.snapshotDir, maxFiles: config.layout.maxSnapshots, logger });
+  const scraper = createScraper({ baseUrl: config.portal.baseUrl, logger, guard: portal, snapshots, metrics });
+
+  // Consumers never looked up or stored, shared so API changes apply straight away
+  const suppressionList = createSuppressionList({ storage, logger });
+
+  const engine = createEngine({ config, storage, scraper, logger, suppressions: suppressionList, portal, metrics });
+
+  // Retention purge (scheduled by whoever runs the engine) and erasure on request
+  const retention = createRetention({ config, storage, logger, snapshots });
+
+  return { storage, metrics, portal, snapshots, scraper, suppressionList, engine, retention };
+}
+
+module.exports = { createServices };
@@ -0,0 +1,56 @@
+// Graceful shutdown: stops scheduled tasks and the engine at a safe point, then
+// closes the browser and the HTTP server. The engine gets three quarters of
+// graceMs to finish its in-flight lookup; past graceMs the process exits with code 1 regardless.
+function createShutdown({ engine, server = null, tasks = [], logger, graceMs, exit = (code) => process.exit(code) }) {
+  let shuttingDown = null;
+
+  // Resolves once server.close has let in-flight requests finish
+  function closeServer() {
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      if (server.closeIdleConnections) server.closeIdleConnections();
+    });
+  }
+
+  async function run(signal) {
+    logger.info(`${signal} received, shutting down (grace period ${graceMs}ms)`);
+    const deadline = setTimeout(() => {
+      logger.error(`Shutdown did not finish within ${graceMs}ms; exiting`);
+      exit(1);
+    }, graceMs);
+    deadline.unref();
+    try {
+      for (const task of tasks) task.stop();
+      await engine.stop({ timeoutMs: Math.floor(graceMs * 0.75) });
+      await engine.browsers.close();
+      if (server) await closeServer();
+      logger.info('Shutdown complete');
+      exit(0);
+    } catch (error) {
+      logger.error(`Shutdown failed: ${error.message}`);
+      exit(1);
+    } finally {
+      clearTimeout(deadline);
+    }
+  }
+
+  // A second signal while shutting down exits straight away
+  return function shutdown(signal) {
+    if (shuttingDown) {
+      logger.warn(`${signal} received again; exiting without waiting`);
+      exit(1);
+      return shuttingDown;
+    }
+    shuttingDown = run(signal);
+    return shuttingDown;
+  };
+}
+
+// Wires createShutdown to SIGTERM (sent by Render on deploys) and SIGINT (Ctrl+C)
+function installShutdownHandlers(options) {
+  const shutdown = createShutdown(options);
+  for (const signal of ['SIGTERM', 'SIGINT']) process.on(signal, () => shutdown(signal));
+  return shutdown;
+}
+
+module.exports = { createShutdown, installShutdownHandlers };
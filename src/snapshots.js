@@ -0,0 +1,105 @@
+const fs = require('fs/promises');
+const path = require('path');
+const cheerio = require('cheerio');
+const { sameServiceNo } = require('./service-numbers');
+
+// Stands in for the text and input values in saved pages
+const REDACTED = '[redacted]';
+
+// Replaces the text (and comments) under a node, leaving its elements
+function blankText(node) {
+  for (const child of node.children || []) {
+    if ((child.type === 'text' || child.type === 'comment') && child.data.trim()) child.data = REDACTED;
+    else blankText(child);
+  }
+}
+
+// A page with all text in the title and body, and input values, blanked out.
+// A changed layout may put customer details anywhere, so nothing is kept but
+// the tags and their attributes, which is enough to compare the layout with
+// test/fixtures/portal.
+function redactPage(html) {
+  const $ = cheerio.load(html || '');
+  $('title, body').each((i, element) => blankText(element));
+  $('input[value]').attr('value', REDACTED);
+  return $.html();
+}
+
+// Saves what the browser was showing when a page did not look as expected:
+// the HTML and a full-page screenshot, named <time>-<label>.html / .png.
+// Only the newest maxFiles snapshots are kept.
+function createSnapshotStore({ dir = 'snapshots', maxFiles = 100, logger }) {
+  // Snapshot base paths (without .html / .png), oldest first
+  async function list() {
+    const names = await fs.readdir(dir).catch((error) => {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    });
+    return names.filter((name) => name.endsWith('.html')).sort().map((name) => path.join(dir, name.slice(0, -'.html'.length)));
+  }
+
+  const remove = (base) => Promise.all([fs.rm(`${base}.html`, { force: true }), fs.rm(`${base}.png`, { force: true })]);
+
+  // Removes the oldest snapshots beyond maxFiles; an html/png pair counts once
+  async function prune() {
+    const bases = await list();
+    for (const base of bases.slice(0, Math.max(bases.length - maxFiles, 0))) await remove(base);
+  }
+
+  // Resolves to the snapshot's base path, or null when it could not be saved.
+  // Never throws: a failed snapshot must not change the lookup's outcome.
+  // Pages that may show a customer's details (customerData) are saved with
+  // their text redacted (redactPage) and without a screenshot.
+  async function capture(page, label, { customerData = false } = {}) {
+    if (maxFiles <= 0) return null;
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const base = path.join(dir, `${stamp}-${label.replace(/[^\w-]+/g, '_')}`);
+    try {
+      await fs.mkdir(dir, { recursive: true });
+      const html = await page.content();
+      await fs.writeFile(`${base}.html`, customerData ? redactPage(html) : html);
+      if (!customerData) {
+        await page.screenshot({ path: `${base}.png`, fullPage: true }).catch((error) => {
+          logger.warn(`Could not save screenshot ${base}.png: ${error.message}`);
+        });
+      }
+      await prune();
+      // The query string may hold a unique service number
+      logger.warn(`Saved layout snapshot ${base}.html (${page.url().split('?')[0]})`);
+      return base;
+    } catch (error) {
+      logger.error(`Could not save layout snapshot ${base}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Deletes snapshots saved before the given time; resolves to the number deleted
+  async function purgeBefore(before) {
+    let removed = 0;
+    for (const base of await list()) {
+      const { mtimeMs } = await fs.stat(`${base}.html`);
+      if (mtimeMs < before.getTime()) {
+        await remove(base);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // Deletes the snapshots taken while looking up a service number ("1213 001"),
+  // whose labels end in 1213-001 (with any zero padding); resolves to the
+  // number deleted
+  async function eraseServiceNo(serviceNo) {
+    const labelled = (base) => {
+      const match = /-(\d{3,5})-(\d{1,6})$/.exec(base);
+      return match !== null && sameServiceNo(serviceNo, `${match[1]} ${match[2]}`);
+    };
+    const bases = (await list()).filter(labelled);
+    await Promise.all(bases.map(remove));
+    return bases.length;
+  }
+
+  return { dir, capture, purgeBefore, eraseServiceNo };
+}
+
+module.exports = { redactPage, createSnapshotStore };
@@ -0,0 +1,36 @@
+const { createSupabaseStorage } = require('./supabase');
+const { createJsonStorage } = require('./json');
+const { createPiiCipher } = require('../pii');
+
+// Picks the storage backend named by config.storage.backend.
+// Every backend exposes the same async methods:
+//   addCircleCode(job), claimNextTask(owner, { leaseSeconds, maxAttempts, skipIds }),
+//   renewLease(id, owner, leaseSeconds), saveCheckpoint(id, owner, lastCompleted, fields),
+//   releaseTask(id, owner, status, fields), updateCircleCodeStatus(id, status, fields),
+//   getCircleCode(id), listCircleCodes({ status }), transitionCircleCode(id, fromStatuses, status, fields),
+//   startRun(run), finishRun(runId, fields), saveResult(data),
+//   findResults({ service_no, unique_service_no }), listResultRows({ afterId, limit }), updateResultRow(id, fields),
+//   clearResultFields(fields, before), deleteResults({ before }), deleteBillHistory({ before }),
+//   eraseResults({ service_no, unique_service_no }), recordAudit(entry),
+//   addSuppression(entry), listSuppressions(), deleteSuppression(id), listMigrations()
+// A failed call is logged and resolves to null (false where the method
+// resolves to a boolean), except renewLease and saveCheckpoint: they resolve
+// to false only when the lease is no longer ours, and to null on errors.
+// The json backend also has applyMigration(migration), used by npm run migrate.
+// Customer details are encrypted with PII_ENCRYPTION_KEYS in every backend.
+function createStorage(config, logger) {
+  const { backend, supabaseUrl, supabaseKey, localDbPath } = config.storage;
+  switch (backend) {
+    case 'supabase':
+      return createSupabaseStorage({ url: supabaseUrl, key: supabaseKey, logger, pii: createPiiCipher(config.pii.encryptionKeys) });
+    case 'json':
+    case 'local':
+      return createJsonStorage({
+        filePath: localDbPath === ':memory:' ? null : localDbPath, logger, pii: createPiiCipher(config.pii.encryptionKeys)
+      });
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected supabase or json)`);
+  }
+}
+
+module.exports = { createStorage, createSupabaseStorage, createJsonStorage };
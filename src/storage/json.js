@@ -0,0 +1,455 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { toResultRow, toBillHistoryRow } = require('./rows');
+const { encryptRow, decryptRow, PII_FIELDS } = require('../pii');
+const { loadMigrations } = require('../migrate');
+const { sameServiceNo } = require('../service-numbers');
+
+const TABLES = ['circle_codes', 'circle_runs', 'tgspdcl_automation_data', 'bill_history', 'purge_audit', 'suppressions', 'schema_migrations'];
+
+// Local file-backed storage with the same tables as the Supabase schema.
+// Pass filePath: null to keep everything in memory (handy for tests).
+// With a pii cipher, customer details are encrypted like in Supabase.
+// A new file (or memory store) starts with every migration applied.
+function createJsonStorage({ filePath, logger, pii = null }) {
+  let db = null;
+  let queue = Promise.resolve();
+
+  async function load() {
+    if (db) return db;
+    db = { sequences: {} };
+    let fresh = true;
+    if (filePath) {
+      try {
+        db = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        fresh = false;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    db.sequences = db.sequences || {};
+    for (const table of TABLES) db[table] = db[table] || [];
+    if (fresh) {
+      const now = new Date().toISOString();
+      db.schema_migrations = loadMigrations().map(({ version, name }) => ({ version, name, applied_at: now }));
+    }
+    return db;
+  }
+
+  async function persist() {
+    if (!filePath) return;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(db, null, 2));
+    await fs.rename(tmpPath, filePath);
+  }
+
+  // Runs reads and writes one at a time so the file is never written concurrently
+  function transaction(fn, { write = true } = {}) {
+    const run = queue.then(async () => {
+      const result = fn(await load());
+      if (write) await persist();
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  function insertRow(data, table, row) {
+    const id = (data.sequences[table] || 0) + 1;
+    data.sequences[table] = id;
+    const now = new Date().toISOString();
+    const inserted = { id, created_at: now, ...row };
+    if (table === 'circle_codes') inserted.updated_at = now;
+    data[table].push(inserted);
+    return inserted;
+  }
+
+  async function addCircleCode({ circle_code, digits_in_service_code, range_start = null, range_end = null, persist_fields = null, run_window = null }) {
+    try {
+      return await transaction((data) => insertRow(data, 'circle_codes', {
+        circle_code, digits_in_service_code, range_start, range_end, persist_fields, run_window,
+        last_completed_service: null, status: 'PENDING', attempts: 0
+      }));
+    } catch (error) {
+      logger.error(`Error adding circle code ${circle_code}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Same rules as the claim_circle_code SQL function: expired leases are
+  // reclaimed, circles out of attempts are marked FAILED, and skipIds are left alone
+  async function claimNextTask(owner, { leaseSeconds, maxAttempts, skipIds = [] }) {
+    try {
+      return await transaction((data) => {
+        const now = new Date();
+        const expired = (row) => row.status === 'PROCESSING' && (!row.lease_expires_at || new Date(row.lease_expires_at) < now);
+        for (const row of data.circle_codes) {
+          if (expired(row) && (row.attempts || 0) >= maxAttempts) {
+            Object.assign(row, {
+              status: 'FAILED', lease_owner: null, lease_expires_at: null,
+              remarks: `Gave up after ${row.attempts} attempts`, updated_at: now.toISOString()
+            });
+          }
+        }
+        const next = data.circle_codes
+          .filter((row) => (row.status === 'PENDING' || expired(row)) && !skipIds.includes(row.id))
+          .sort((a, b) => a.id - b.id)[0];
+        if (!next) return null;
+        Object.assign(next, {
+          status: 'PROCESSING', lease_owner: owner, heartbeat_at: now.toISOString(),
+          lease_expires_at: new Date(now.getTime() + leaseSeconds * 1000).toISOString(),
+          attempts: (next.attempts || 0) + 1, started_at: next.started_at || now.toISOString(), updated_at: now.toISOString()
+        });
+        return { ...next };
+      });
+    } catch (error) {
+      logger.error(`Error claiming next task: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function renewLease(id, owner, leaseSeconds) {
+    try {
+      return await transaction((data) => {
+        const row = data.circle_codes.find((r) => r.id === id && r.lease_owner === owner);
+        if (!row) return false;
+        const now = new Date();
+        row.heartbeat_at = now.toISOString();
+        row.lease_expires_at = new Date(now.getTime() + leaseSeconds * 1000).toISOString();
+        return true;
+      });
+    } catch (error) {
+      logger.error(`Error renewing lease for ${id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function saveCheckpoint(id, owner, lastCompleted, fields = {}) {
+    try {
+      return await transaction((data) => {
+        const row = data.circle_codes.find((r) => r.id === id && r.lease_owner === owner);
+        if (!row) return false;
+        Object.assign(row, fields, { last_completed_service: lastCompleted, updated_at: new Date().toISOString() });
+        return row.status;
+      });
+    } catch (error) {
+      logger.error(`Error saving checkpoint for ${id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function releaseTask(id, owner, status, fields = {}) {
+    try {
+      return await transaction((data) => {
+        const row = data.circle_codes.find((r) => r.id === id && r.lease_owner === owner);
+        if (!row) return false;
+        Object.assign(row, fields, { status, lease_owner: null, lease_expires_at: null, updated_at: new Date().toISOString() });
+        return true;
+      });
+    } catch (error) {
+      logger.error(`Error releasing circle ${id}: ${error.message}`);
+      return false;
+    }
+  }
+
+  async function updateCircleCodeStatus(id, status, fields = {}) {
+    try {
+      return await transaction((data) => {
+        const row = data.circle_codes.find((r) => r.id === id);
+        if (!row) throw new Error('circle code not found');
+        Object.assign(row, fields, { status, updated_at: new Date().toISOString() });
+        return true;
+      });
+    } catch (error) {
+      logger.error(`Error updating circle status for ${id}: ${error.message}`);
+      return false;
+    }
+  }
+
+  async function getCircleCode(id) {
+    try {
+      return await transaction((data) => {
+        const row = data.circle_codes.find((r) => r.id === id);
+        return row ? { ...row } : null;
+      }, { write: false });
+    } catch (error) {
+      logger.error(`Error reading circle ${id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function listCircleCodes({ status } = {}) {
+    try {
+      return await transaction((data) => data.circle_codes
+        .filter((row) => !status || row.status === status)
+        .map((row) => ({ ...row })), { write: false });
+    } catch (error) {
+      logger.error(`Error listing circle codes: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function transitionCircleCode(id, fromStatuses, status, fields = {}) {
+    try {
+      return await transaction((data) => {
+        const row = data.circle_codes.find((r) => r.id === id && fromStatuses.includes(r.status));
+        if (!row) return null;
+        Object.assign(row, fields, { status, updated_at: new Date().toISOString() });
+        return { ...row };
+      });
+    } catch (error) {
+      logger.error(`Error moving circle ${id} to ${status}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function startRun(run) {
+    try {
+      return await transaction((data) => {
+        const now = new Date().toISOString();
+        for (const row of data.circle_runs) {
+          if (row.circle_code_id === run.circle_code_id && row.status === 'RUNNING') {
+            Object.assign(row, { status: 'ABANDONED', finished_at: now });
+          }
+        }
+        return { ...insertRow(data, 'circle_runs', { ...run, status: 'RUNNING', started_at: now }) };
+      });
+    } catch (error) {
+      logger.error(`Error starting run for circle ${run.circle_code}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function finishRun(runId, fields) {
+    try {
+      return await transaction((data) => {
+        const row = data.circle_runs.find((r) => r.id === runId);
+        if (!row) return false;
+        Object.assign(row, fields);
+        return true;
+      });
+    } catch (error) {
+      logger.error(`Error finishing run ${runId}: ${error.message}`);
+      return false;
+    }
+  }
+
+  async function saveResult(result) {
+    try {
+      await transaction((data) => {
+        let row = { ...toResultRow(result), updated_at: new Date().toISOString() };
+        if (pii) row = encryptRow(row, pii);
+        const existing = row.unique_service_no && data.tgspdcl_automation_data.find((r) => r.unique_service_no === row.unique_service_no);
+        if (existing) Object.assign(existing, row);
+        else insertRow(data, 'tgspdcl_automation_data', row);
+        const history = toBillHistoryRow(result);
+        if (history) insertRow(data, 'bill_history', history);
+      });
+      return true;
+    } catch (error) {
+      logger.error(`Local store upsert error: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Stored results for a service number or unique service number, decrypted
+  async function findResults({ service_no, unique_service_no }) {
+    try {
+      const rows = await transaction((data) => data.tgspdcl_automation_data
+        .filter((r) => sameServiceNo(service_no, r.service_no) || (unique_service_no && r.unique_service_no === unique_service_no))
+        .map((r) => ({ ...r })), { write: false });
+      return pii ? rows.map((row) => decryptRow(row, pii)) : rows;
+    } catch (error) {
+      logger.error(`Error reading results: ${error.message}`);
+      return null;
+    }
+  }
+
+  // A page of raw result rows by id, for re-encryption
+  async function listResultRows({ afterId = 0, limit = 500 } = {}) {
+    try {
+      return await transaction((data) => data.tgspdcl_automation_data
+        .filter((r) => r.id > afterId).sort((a, b) => a.id - b.id).slice(0, limit)
+        .map((r) => Object.fromEntries(['id', ...PII_FIELDS].map((field) => [field, r[field]]))), { write: false });
+    } catch (error) {
+      logger.error(`Error listing results: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function updateResultRow(id, fields) {
+    try {
+      return await transaction((data) => {
+        const row = data.tgspdcl_automation_data.find((r) => r.id === id);
+        if (!row) return false;
+        Object.assign(row, fields);
+        return true;
+      });
+    } catch (error) {
+      logger.error(`Error updating result ${id}: ${error.message}`);
+      return false;
+    }
+  }
+
+  async function clearResultFields(fields, before) {
+    try {
+      return await transaction((data) => {
+        let cleared = 0;
+        for (const row of data.tgspdcl_automation_data) {
+          if (row.updated_at >= before || fields.every((field) => row[field] == null)) continue;
+          for (const field of fields) row[field] = null;
+          cleared++;
+        }
+        return cleared;
+      });
+    } catch (error) {
+      logger.error(`Error clearing ${fields.join(', ')}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function deleteResults({ before }) {
+    try {
+      return await transaction((data) => {
+        const count = data.tgspdcl_automation_data.length;
+        data.tgspdcl_automation_data = data.tgspdcl_automation_data.filter((row) => row.updated_at >= before);
+        return count - data.tgspdcl_automation_data.length;
+      });
+    } catch (error) {
+      logger.error(`Error deleting results: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function deleteBillHistory({ before }) {
+    try {
+      return await transaction((data) => {
+        const count = data.bill_history.length;
+        data.bill_history = data.bill_history.filter((row) => row.observed_at >= before);
+        return count - data.bill_history.length;
+      });
+    } catch (error) {
+      logger.error(`Error deleting bill history: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function eraseResults({ service_no, unique_service_no }) {
+    try {
+      return await transaction((data) => {
+        const matches = (row) => sameServiceNo(service_no, row.service_no) || (unique_service_no && row.unique_service_no === unique_service_no);
+        const uniques = new Set(data.tgspdcl_automation_data.filter(matches).map((row) => row.unique_service_no).filter(Boolean));
+        const counts = { results: data.tgspdcl_automation_data.length, bill_history: data.bill_history.length };
+        data.tgspdcl_automation_data = data.tgspdcl_automation_data.filter((row) => !matches(row));
+        data.bill_history = data.bill_history.filter((row) => !matches(row) && !uniques.has(row.unique_service_no));
+        return {
+          results: counts.results - data.tgspdcl_automation_data.length,
+          bill_history: counts.bill_history - data.bill_history.length
+        };
+      });
+    } catch (error) {
+      logger.error(`Error erasing results: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function recordAudit(entry) {
+    try {
+      await transaction((data) => insertRow(data, 'purge_audit', entry));
+      return true;
+    } catch (error) {
+      logger.error(`Error recording purge audit: ${error.message}`);
+      return false;
+    }
+  }
+
+  async function addSuppression(entry) {
+    try {
+      return await transaction((data) => ({ ...insertRow(data, 'suppressions', entry) }));
+    } catch (error) {
+      logger.error(`Error adding suppression: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function listSuppressions() {
+    try {
+      return await transaction((data) => data.suppressions.map((row) => ({ ...row })), { write: false });
+    } catch (error) {
+      logger.error(`Error listing suppressions: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function deleteSuppression(id) {
+    try {
+      return await transaction((data) => {
+        const count = data.suppressions.length;
+        data.suppressions = data.suppressions.filter((row) => row.id !== id);
+        return data.suppressions.length < count;
+      });
+    } catch (error) {
+      logger.error(`Error removing suppression ${id}: ${error.message}`);
+      return false;
+    }
+  }
+
+  async function listMigrations() {
+    try {
+      return await transaction((data) => data.schema_migrations.map((row) => ({ ...row })), { write: false });
+    } catch (error) {
+      logger.error(`Error reading schema_migrations: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Runs a migration's json(db) step and records it, in one write
+  async function applyMigration({ version, name, json }) {
+    try {
+      await transaction((data) => {
+        if (json) json(data);
+        data.schema_migrations.push({ version, name, applied_at: new Date().toISOString() });
+      });
+      return true;
+    } catch (error) {
+      // The in-memory copy may be half migrated; read the file again next time
+      db = null;
+      logger.error(`Error applying migration ${version}_${name}: ${error.message}`);
+      return false;
+    }
+  }
+
+  return {
+    name: 'json',
+    addCircleCode,
+    claimNextTask,
+    renewLease,
+    saveCheckpoint,
+    releaseTask,
+    updateCircleCodeStatus,
+    getCircleCode,
+    listCircleCodes,
+    transitionCircleCode,
+    startRun,
+    finishRun,
+    saveResult,
+    findResults,
+    listResultRows,
+    updateResultRow,
+    clearResultFields,
+    deleteResults,
+    deleteBillHistory,
+    eraseResults,
+    recordAudit,
+    addSuppression,
+    listSuppressions,
+    deleteSuppression,
+    listMigrations,
+    applyMigration,
+    // Read-only view of a table, used by tests and local tooling
+    rows: (table) => transaction((data) => (data[table] || []).map((row) => ({ ...row })), { write: false })
+  };
+}
+
+module.exports = { createJsonStorage };
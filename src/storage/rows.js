@@ -0,0 +1,34 @@
+// The key results are upserted on; placeholder values don't identify anyone
+function resultKey(data) {
+  const key = (data.uniqueServiceNo || '').trim();
+  return key && key !== 'Not Found' ? key : null;
+}
+
+// Maps a processed lookup onto a tgspdcl_automation_data row
+function toResultRow(data) {
+  const bill = data.bill || {};
+  return {
+    service_no: data.serviceNo, unique_service_no: resultKey(data),
+    customer_name: data.customerName, address: data.address, ero: data.ero,
+    mobile: data.mobile, fetch_status: data.status,
+    bill_amount: bill.amount ?? null, bill_currency: bill.currency ?? null,
+    bill_amount_source: bill.source ?? null, bill_amount_text: bill.rawAmount ?? null,
+    bill_date: bill.billDate ?? null, due_date: bill.dueDate ?? null,
+    status: 'COMPLETED', search_info: { processed_at: data.processedAt, bill_status: data.billStatus ?? null }
+  };
+}
+
+// A bill_history row for a lookup that found an amount, or null
+function toBillHistoryRow(data) {
+  const bill = data.bill || {};
+  const key = resultKey(data);
+  if (!key || bill.amount == null) return null;
+  return {
+    unique_service_no: key, service_no: data.serviceNo,
+    bill_amount: bill.amount, bill_currency: bill.currency ?? null, bill_amount_source: bill.source ?? null,
+    bill_date: bill.billDate ?? null, due_date: bill.dueDate ?? null,
+    observed_at: data.processedAt || new Date().toISOString()
+  };
+}
+
+module.exports = { resultKey, toResultRow, toBillHistoryRow };
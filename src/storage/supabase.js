@@ -0,0 +1,370 @@
+const { createClient } = require('@supabase/supabase-js');
+const { toResultRow, toBillHistoryRow } = require('./rows');
+const { encryptRow, decryptRow, PII_FIELDS } = require('../pii');
+const { serviceNoForms } = require('../service-numbers');
+
+// Error codes for a table that does not exist (Postgres, then PostgREST)
+const MISSING_TABLE = ['42P01', 'PGRST205'];
+
+// Storage backed by the Supabase project tables. Customer details are
+// encrypted with the pii cipher before they leave the process.
+function createSupabaseStorage({ url, key, logger, pii }) {
+  const supabase = createClient(url, key);
+
+  async function addCircleCode({ circle_code, digits_in_service_code, range_start = null, range_end = null, persist_fields = null, run_window = null }) {
+    try {
+      const { data, error } = await supabase.from('circle_codes')
+        .insert([{ circle_code, digits_in_service_code, range_start, range_end, persist_fields, run_window, status: 'PENDING' }]).select();
+      if (error) throw error;
+      return data?.[0] || null;
+    } catch (error) {
+      logger.error(`Error adding circle code ${circle_code}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Atomically claims the next PENDING circle (or one whose lease expired) via
+  // the claim_circle_code function, so two instances never get the same circle
+  async function claimNextTask(owner, { leaseSeconds, maxAttempts, skipIds = [] }) {
+    try {
+      const { data, error } = await supabase.rpc('claim_circle_code', {
+        p_owner: owner, p_lease_seconds: leaseSeconds, p_max_attempts: maxAttempts, p_skip_ids: skipIds
+      });
+      if (error) throw error;
+      return data?.[0] || null;
+    } catch (error) {
+      logger.error(`Error claiming next task: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Extends the lease; false means another worker has taken the circle over,
+  // null that the lease could not be renewed this time
+  async function renewLease(id, owner, leaseSeconds) {
+    try {
+      const now = new Date();
+      const { data, error } = await supabase.from('circle_codes')
+        .update({ heartbeat_at: now.toISOString(), lease_expires_at: new Date(now.getTime() + leaseSeconds * 1000).toISOString() })
+        .eq('id', id).eq('lease_owner', owner).select('id');
+      if (error) throw error;
+      return data.length > 0;
+    } catch (error) {
+      logger.error(`Error renewing lease for ${id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Records the last completed service number and resolves to the circle's
+  // status, so the worker sees a PAUSED or CANCELLED job; false means the lease
+  // is gone, null that the checkpoint could not be saved
+  async function saveCheckpoint(id, owner, lastCompleted, fields = {}) {
+    try {
+      const { data, error } = await supabase.from('circle_codes')
+        .update({ ...fields, last_completed_service: lastCompleted })
+        .eq('id', id).eq('lease_owner', owner).select('status');
+      if (error) throw error;
+      return data.length > 0 ? data[0].status : false;
+    } catch (error) {
+      logger.error(`Error saving checkpoint for ${id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Sets the final status and drops the lease, if we still hold it; false
+  // when we no longer do
+  async function releaseTask(id, owner, status, fields = {}) {
+    try {
+      const { data, error } = await supabase.from('circle_codes')
+        .update({ ...fields, status, lease_owner: null, lease_expires_at: null })
+        .eq('id', id).eq('lease_owner', owner).select('id');
+      if (error) throw error;
+      return data.length > 0;
+    } catch (error) {
+      logger.error(`Error releasing circle ${id}: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Updates the task status, plus any extra circle_codes columns
+  async function updateCircleCodeStatus(id, status, fields = {}) {
+    try {
+      const { error } = await supabase.from('circle_codes').update({ ...fields, status }).eq('id', id);
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      logger.error(`Error updating circle status for ${id}: ${error.message}`);
+      return false;
+    }
+  }
+
+  async function getCircleCode(id) {
+    try {
+      const { data, error } = await supabase.from('circle_codes').select('*').eq('id', id).maybeSingle();
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error(`Error reading circle ${id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function listCircleCodes({ status } = {}) {
+    try {
+      let query = supabase.from('circle_codes').select('*').order('id');
+      if (status) query = query.eq('status', status);
+      const { data, error } = await query;
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error(`Error listing circle codes: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Changes the status only if the circle is still in one of fromStatuses, so
+  // two callers cannot both pause, resume or retry the same job
+  async function transitionCircleCode(id, fromStatuses, status, fields = {}) {
+    try {
+      const { data, error } = await supabase.from('circle_codes')
+        .update({ ...fields, status }).eq('id', id).in('status', fromStatuses).select();
+      if (error) throw error;
+      return data?.[0] || null;
+    } catch (error) {
+      logger.error(`Error moving circle ${id} to ${status}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Opens a circle_runs row for a new attempt. Runs left RUNNING by a worker
+  // that died are closed as ABANDONED first.
+  async function startRun(run) {
+    try {
+      const now = new Date().toISOString();
+      const { error: abandonError } = await supabase.from('circle_runs')
+        .update({ status: 'ABANDONED', finished_at: now })
+        .eq('circle_code_id', run.circle_code_id).eq('status', 'RUNNING');
+      if (abandonError) throw abandonError;
+      const { data, error } = await supabase.from('circle_runs')
+        .insert([{ ...run, status: 'RUNNING', started_at: now }]).select();
+      if (error) throw error;
+      return data?.[0] || null;
+    } catch (error) {
+      logger.error(`Error starting run for circle ${run.circle_code}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function finishRun(runId, fields) {
+    try {
+      const { error } = await supabase.from('circle_runs').update(fields).eq('id', runId);
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      logger.error(`Error finishing run ${runId}: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Upserts the consumer on unique_service_no and appends the observed bill
+  // to bill_history, so re-running a circle never duplicates consumers
+  async function saveResult(data) {
+    try {
+      const row = encryptRow({ ...toResultRow(data), updated_at: new Date().toISOString() }, pii);
+      const { error } = row.unique_service_no
+        ? await supabase.from('tgspdcl_automation_data').upsert([row], { onConflict: 'unique_service_no' })
+        : await supabase.from('tgspdcl_automation_data').insert([row]);
+      if (error) throw error;
+      const history = toBillHistoryRow(data);
+      if (history) {
+        const { error: historyError } = await supabase.from('bill_history').insert([history]);
+        if (historyError) throw historyError;
+      }
+      return true;
+    } catch (error) {
+      logger.error(`Supabase upsert error: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Stored results for a service number (with or without its zero padding)
+  // or unique service number, decrypted
+  async function findResults({ service_no, unique_service_no }) {
+    try {
+      let query = supabase.from('tgspdcl_automation_data').select('*').order('id').limit(100);
+      query = unique_service_no ? query.eq('unique_service_no', unique_service_no) : query.in('service_no', serviceNoForms(service_no));
+      const { data, error } = await query;
+      if (error) throw error;
+      return data.map((row) => decryptRow(row, pii));
+    } catch (error) {
+      logger.error(`Error reading results: ${error.message}`);
+      return null;
+    }
+  }
+
+  // A page of raw result rows by id, for re-encryption
+  async function listResultRows({ afterId = 0, limit = 500 } = {}) {
+    try {
+      const { data, error } = await supabase.from('tgspdcl_automation_data')
+        .select(['id', ...PII_FIELDS].join(', ')).gt('id', afterId).order('id').limit(limit);
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error(`Error listing results: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function updateResultRow(id, fields) {
+    try {
+      const { error } = await supabase.from('tgspdcl_automation_data').update(fields).eq('id', id);
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      logger.error(`Error updating result ${id}: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Sets the given columns to NULL on rows last updated before the cutoff;
+  // resolves to the number of rows changed
+  async function clearResultFields(fields, before) {
+    try {
+      const { data, error } = await supabase.from('tgspdcl_automation_data')
+        .update(Object.fromEntries(fields.map((field) => [field, null])))
+        .lt('updated_at', before)
+        .or(fields.map((field) => `${field}.not.is.null`).join(','))
+        .select('id');
+      if (error) throw error;
+      return data.length;
+    } catch (error) {
+      logger.error(`Error clearing ${fields.join(', ')}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function deleteResults({ before }) {
+    try {
+      const { data, error } = await supabase.from('tgspdcl_automation_data').delete().lt('updated_at', before).select('id');
+      if (error) throw error;
+      return data.length;
+    } catch (error) {
+      logger.error(`Error deleting results: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function deleteBillHistory({ before }) {
+    try {
+      const { data, error } = await supabase.from('bill_history').delete().lt('observed_at', before).select('id');
+      if (error) throw error;
+      return data.length;
+    } catch (error) {
+      logger.error(`Error deleting bill history: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Deletes every stored row for a consumer, including bill_history rows
+  // filed under its unique service number. The service number matches with
+  // any zero padding.
+  async function eraseResults({ service_no, unique_service_no }) {
+    try {
+      const found = [];
+      const serviceNos = service_no ? serviceNoForms(service_no) : null;
+      for (const [column, values] of [['service_no', serviceNos], ['unique_service_no', unique_service_no && [unique_service_no]]]) {
+        if (!values) continue;
+        const { data, error } = await supabase.from('tgspdcl_automation_data').select('id, unique_service_no').in(column, values);
+        if (error) throw error;
+        found.push(...data);
+      }
+      const uniques = [...new Set([unique_service_no, ...found.map((row) => row.unique_service_no)].filter(Boolean))];
+      const counts = { results: 0, bill_history: 0 };
+      if (found.length > 0) {
+        const { data, error } = await supabase.from('tgspdcl_automation_data').delete().in('id', found.map((row) => row.id)).select('id');
+        if (error) throw error;
+        counts.results = data.length;
+      }
+      const historyDeletes = [
+        serviceNos && supabase.from('bill_history').delete().in('service_no', serviceNos).select('id'),
+        uniques.length > 0 && supabase.from('bill_history').delete().in('unique_service_no', uniques).select('id')
+      ].filter(Boolean);
+      for (const query of historyDeletes) {
+        const { data, error } = await query;
+        if (error) throw error;
+        counts.bill_history += data.length;
+      }
+      return counts;
+    } catch (error) {
+      logger.error(`Error erasing results: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function recordAudit(entry) {
+    try {
+      const { error } = await supabase.from('purge_audit').insert([entry]);
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      logger.error(`Error recording purge audit: ${error.message}`);
+      return false;
+    }
+  }
+
+  async function addSuppression(entry) {
+    try {
+      const { data, error } = await supabase.from('suppressions').insert([entry]).select();
+      if (error) throw error;
+      return data?.[0] || null;
+    } catch (error) {
+      logger.error(`Error adding suppression: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function listSuppressions() {
+    try {
+      const { data, error } = await supabase.from('suppressions').select('*').order('id');
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error(`Error listing suppressions: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function deleteSuppression(id) {
+    try {
+      const { data, error } = await supabase.from('suppressions').delete().eq('id', id).select('id');
+      if (error) throw error;
+      return data.length > 0;
+    } catch (error) {
+      logger.error(`Error removing suppression ${id}: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Applied migrations (see src/migrate.js); a database without the tracking
+  // table has none. Migrations themselves need a direct Postgres connection.
+  async function listMigrations() {
+    try {
+      const { data, error } = await supabase.from('schema_migrations').select('version, name, applied_at').order('version');
+      if (error && MISSING_TABLE.includes(error.code)) return [];
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error(`Error reading schema_migrations: ${error.message}`);
+      return null;
+    }
+  }
+
+  return {
+    name: 'supabase', client: supabase,
+    addCircleCode, claimNextTask, renewLease, saveCheckpoint, releaseTask, updateCircleCodeStatus,
+    getCircleCode, listCircleCodes, transitionCircleCode, startRun, finishRun, saveResult,
+    findResults, listResultRows, updateResultRow, clearResultFields, deleteResults, deleteBillHistory,
+    eraseResults, recordAudit, addSuppression, listSuppressions, deleteSuppression, listMigrations
+  };
+}
+
+module.exports = { createSupabaseStorage };
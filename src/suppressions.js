@@ -0,0 +1,112 @@
+const { ApiError } = require('./api-errors');
+const { SERVICE_NO, UNIQUE_SERVICE_NO, canonicalServiceNo } = require('./service-numbers');
+
+// Consumers excluded from scraping and storage, e.g. after a removal request.
+// An entry names a service number ("1213 001"), a unique service number, or both.
+// Service numbers are stored without zero padding ("1213 1"), as a circle's
+// digit count is not known here, and compared that way.
+
+// A suppression request the API rejects; reason is invalid, not_found, conflict or storage
+class SuppressionError extends ApiError {
+  constructor(reason, message, details) {
+    super(reason, message, details);
+    this.name = 'SuppressionError';
+  }
+}
+
+// Checks a new entry; returns the row to insert or throws SuppressionError
+function validateSuppression(input = {}) {
+  const errors = [];
+  const text = (value) => (typeof value === 'string' || typeof value === 'number' ? String(value).trim() : null);
+  const serviceNo = text(input.service_no) || null;
+  const uniqueServiceNo = text(input.unique_service_no) || null;
+  if (!serviceNo && !uniqueServiceNo) errors.push('Pass service_no, unique_service_no or both');
+  if (serviceNo && !SERVICE_NO.test(serviceNo)) errors.push('service_no must be a circle code and number, e.g. "1213 001"');
+  if (uniqueServiceNo && !UNIQUE_SERVICE_NO.test(uniqueServiceNo)) errors.push('unique_service_no must be 5 to 12 digits');
+  if (input.reason != null && typeof input.reason !== 'string') errors.push('reason must be a string');
+  if (errors.length > 0) throw new SuppressionError('invalid', 'Invalid suppression', errors);
+  return { service_no: serviceNo && canonicalServiceNo(serviceNo), unique_service_no: uniqueServiceNo, reason: input.reason || null };
+}
+
+// The suppression list as the engine checks it: cached in memory and re-read
+// every refreshMs, so entries added by another process apply within that time.
+// The first load must succeed; later failures keep the last known list.
+function createSuppressionList({ storage, logger, refreshMs = 60000 }) {
+  let serviceNos = null;
+  let uniqueServiceNos = new Set();
+  let loadedAt = 0;
+
+  async function refresh() {
+    const rows = await storage.listSuppressions();
+    if (!rows) {
+      if (!serviceNos) throw new Error('Could not read the suppression list');
+      logger.warn('Could not refresh the suppression list; using the last one read');
+      return;
+    }
+    // Entries added before they were stored unpadded may still be padded
+    serviceNos = new Set(rows.map((row) => canonicalServiceNo(row.service_no)).filter(Boolean));
+    uniqueServiceNos = new Set(rows.map((row) => row.unique_service_no).filter(Boolean));
+    loadedAt = Date.now();
+  }
+
+  // Re-reads the list when it is older than refreshMs
+  async function load() {
+    if (!serviceNos || Date.now() - loadedAt >= refreshMs) await refresh();
+  }
+
+  const hasServiceNo = (serviceNo) => Boolean(serviceNos && serviceNos.has(canonicalServiceNo(serviceNo)));
+  const hasUniqueServiceNo = (uniqueServiceNo) => Boolean(uniqueServiceNo) && uniqueServiceNos.has(uniqueServiceNo);
+
+  return { load, refresh, hasServiceNo, hasUniqueServiceNo };
+}
+
+// Suppression entries as managed through the API. Adding an entry erases what
+// is already stored for the consumer; list is the engine's cached list to
+// refresh once the entries change.
+function createSuppressions({ storage, retention, list = null, logger }) {
+  async function all() {
+    const rows = await storage.listSuppressions();
+    if (!rows) throw new SuppressionError('storage', 'Could not read suppressions');
+    return rows;
+  }
+
+  // A unique service number on its own can only be matched once the portal
+  // has been asked for it, so the service number is taken from stored results
+  // while they still exist. The engine can then skip it before any request.
+  async function add(input, { actor = null } = {}) {
+    const entry = validateSuppression(input);
+    const existing = (await all()).find((row) => (entry.service_no && canonicalServiceNo(row.service_no) === entry.service_no)
+      || (entry.unique_service_no && row.unique_service_no === entry.unique_service_no));
+    if (existing) throw new SuppressionError('conflict', `Already suppressed by entry ${existing.id}`);
+    if (entry.unique_service_no && !entry.service_no) {
+      const stored = await storage.findResults({ unique_service_no: entry.unique_service_no });
+      if (!stored) throw new SuppressionError('storage', 'Could not read results');
+      entry.service_no = stored.map((row) => canonicalServiceNo(row.service_no)).find(Boolean) || null;
+    }
+    const created = await storage.addSuppression({ ...entry, added_by: actor });
+    if (!created) throw new SuppressionError('storage', 'Could not add the suppression');
+    if (list) await list.refresh().catch((error) => logger.warn(`Suppression list refresh failed: ${error.message}`));
+    let erased;
+    try {
+      erased = await retention.eraseServiceNumber(
+        { service_no: created.service_no, unique_service_no: created.unique_service_no },
+        { actor, reason: entry.reason || 'suppressed' }
+      );
+    } catch (error) {
+      throw new SuppressionError('storage', `Suppression ${created.id} added, but stored results could not be erased: ${error.message}`);
+    }
+    logger.info(`Added suppression ${created.id}`, { service_no: created.service_no, unique_service_no: created.unique_service_no, actor });
+    return { suppression: created, erased };
+  }
+
+  async function remove(id, { actor = null } = {}) {
+    if (!(await all()).some((row) => row.id === id)) throw new SuppressionError('not_found', `Suppression ${id} not found`);
+    if (!(await storage.deleteSuppression(id))) throw new SuppressionError('storage', 'Could not remove the suppression');
+    if (list) await list.refresh().catch((error) => logger.warn(`Suppression list refresh failed: ${error.message}`));
+    logger.info(`Removed suppression ${id}`, { actor });
+  }
+
+  return { list: all, add, remove };
+}
+
+module.exports = { SuppressionError, validateSuppression, createSuppressionList, createSuppressions };
@@ -1,7 +1,8 @@
 #!/usr/bin/env node
 /**
- * Test script for TGSPDCL Node.js Automation
- * This script tests the core functionality
+ * Live connectivity checks for TGSPDCL Node.js Automation (npm run test:live)
+ * Read-only: checks the Supabase project and the TGSPDCL site are reachable.
+ * The offline test suite lives in test/ (npm test).
  */
 
 const { createClient } = require('@supabase/supabase-js');
@@ -104,41 +105,6 @@ async function testPuppeteer() {
   }
 }
 
-async function testSampleData() {
-  console.log('🔍 Testing sample data insertion...');
-  
-  try {
-    // Test inserting a sample circle code
-    const { data, error } = await supabase
-      .from('circle_codes')
-      .insert([{
-        circle_code: 'TEST',
-        digits_in_service_code: 3,
-        status: 'PENDING'
-      }])
-      .select();
-    
-    if (error) {
-      console.error('❌ Sample data insertion failed:', error.message);
-      return false;
-    }
-    
-    console.log('✅ Sample data insertion successful');
-    
-    // Clean up test data
-    await supabase
-      .from('circle_codes')
-      .delete()
-      .eq('circle_code', 'TEST');
-    
-    console.log('✅ Test data cleaned up');
-    return true;
-  } catch (error) {
-    console.error('❌ Sample data test failed:', error.message);
-    return false;
-  }
-}
-
 async function showCircleCodes() {
   console.log('🔍 Checking existing circle codes...');
   
@@ -179,8 +145,7 @@ async function runAllTests() {
   const tests = [
     { name: 'Supabase Connection', fn: testSupabaseConnection },
     { name: 'Database Tables', fn: testTablesExist },
-    { name: 'Puppeteer Setup', fn: testPuppeteer },
-    { name: 'Sample Data', fn: testSampleData }
+    { name: 'Puppeteer Setup', fn: testPuppeteer }
   ];
   
   let allPassed = true;
@@ -218,6 +183,5 @@ module.exports = {
   testSupabaseConnection,
   testTablesExist,
   testPuppeteer,
-  testSampleData,
   showCircleCodes
 };
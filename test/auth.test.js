@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createAuth, hashApiKey, parseApiKeys, corsOptions } = require('../src/auth');
+
+const logger = { info() {}, warn() {}, error() {} };
+
+const keys = [`dashboard:viewer:${hashApiKey('viewer-key')}`, `ops:operator:${hashApiKey('operator-key')}`];
+
+// A tiny app with a viewer route and a jobs-like resource
+async function startApp(t) {
+  const auth = createAuth({ keys, logger });
+  const app = express();
+  app.get('/status', auth.requireRole('viewer'), (req, res) => res.json({ caller: req.auth }));
+  app.use('/jobs', auth.requireRoleByMethod({ read: 'viewer', write: 'operator' }), (req, res) => res.json({ ok: true }));
+  const server = await new Promise((resolve) => { const s = app.listen(0, () => resolve(s)); });
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return (method, path, headers = {}) => fetch(`${baseUrl}${path}`, { method, headers });
+}
+
+test('parseApiKeys accepts name:role:sha256 and rejects anything else', () => {
+  const [entry] = parseApiKeys([`ops:operator:${hashApiKey('k').toUpperCase()}`]);
+  assert.strictEqual(entry.name, 'ops');
+  assert.strictEqual(entry.role, 'operator');
+  assert.throws(() => parseApiKeys(['ops:root:' + hashApiKey('k')]), /role one of viewer, operator, admin/);
+  assert.throws(() => parseApiKeys(['ops:operator:plain-text-key']), /Invalid API_KEYS entry "ops"/);
+  assert.throws(() => parseApiKeys([`operator:${hashApiKey('k')}`]), /Invalid/);
+});
+
+test('requests without a valid key are rejected', async (t) => {
+  const call = await startApp(t);
+  const missing = await call('GET', '/status');
+  assert.strictEqual(missing.status, 401);
+  assert.strictEqual(missing.headers.get('www-authenticate'), 'Bearer');
+  assert.strictEqual((await call('GET', '/status', { authorization: 'Bearer wrong-key' })).status, 401);
+  // The stored hash is not a key
+  assert.strictEqual((await call('GET', '/status', { 'x-api-key': hashApiKey('viewer-key') })).status, 401);
+});
+
+test('viewers can read and operators can also change jobs', async (t) => {
+  const call = await startApp(t);
+  const status = await call('GET', '/status', { authorization: 'Bearer viewer-key' });
+  assert.deepStrictEqual((await status.json()).caller, { name: 'dashboard', role: 'viewer' });
+  assert.strictEqual((await call('GET', '/jobs', { 'x-api-key': 'viewer-key' })).status, 200);
+  assert.strictEqual((await call('POST', '/jobs', { 'x-api-key': 'viewer-key' })).status, 403);
+  assert.strictEqual((await call('POST', '/jobs', { authorization: 'Bearer operator-key' })).status, 200);
+  assert.strictEqual((await call('GET', '/status', { authorization: 'Bearer operator-key' })).status, 200);
+});
+
+test('with no keys configured every protected route is closed', async () => {
+  const auth = createAuth({ keys: [], logger });
+  let status = null;
+  const res = { set() {}, status(code) { status = code; return this; }, json() {} };
+  auth.requireRole('viewer')({ get: () => undefined, method: 'GET', originalUrl: '/status' }, res, () => assert.fail('should not pass'));
+  assert.strictEqual(status, 401);
+});
+
+test('corsOptions only allows listed origins', () => {
+  assert.deepStrictEqual(corsOptions(['https://dashboard.example.com']), { origin: ['https://dashboard.example.com'] });
+  assert.deepStrictEqual(corsOptions([]), { origin: false });
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { createBrowserSupervisor } = require('../src/browser-supervisor');
+const { backoffDelay } = require('../src/backoff');
+
+const logger = { info() {}, warn() {}, error() {} };
+
+// Minimal stand-in for a Puppeteer Browser
+function fakeBrowser() {
+  const browser = new EventEmitter();
+  browser.connected = true;
+  browser.isConnected = () => browser.connected;
+  browser.close = async () => { browser.crash(); };
+  browser.crash = () => {
+    if (!browser.connected) return;
+    browser.connected = false;
+    browser.emit('disconnected');
+  };
+  return browser;
+}
+
+test('backoffDelay doubles up to the cap', () => {
+  const opts = { baseMs: 1000, maxMs: 5000 };
+  assert.deepStrictEqual([0, 1, 2, 3, 4].map((n) => backoffDelay(n, opts)), [1000, 2000, 4000, 5000, 5000]);
+});
+
+test('supervisor launches once and shares the browser', async () => {
+  let launches = 0;
+  const supervisor = createBrowserSupervisor({ launch: async () => { launches++; return fakeBrowser(); }, logger });
+  const [a, b] = await Promise.all([supervisor.getBrowser(), supervisor.getBrowser()]);
+  assert.strictEqual(a, b);
+  assert.strictEqual(launches, 1);
+  assert.strictEqual(supervisor.health().status, 'connected');
+  assert.strictEqual(supervisor.health().connected, true);
+  await supervisor.close();
+});
+
+test('supervisor relaunches after a disconnect', async () => {
+  const launched = [];
+  const supervisor = createBrowserSupervisor({ launch: async () => { launched.push(fakeBrowser()); return launched.at(-1); }, logger });
+  const first = await supervisor.getBrowser();
+  first.crash();
+
+  const second = await supervisor.getBrowser();
+  assert.notStrictEqual(second, first);
+  assert.strictEqual(second.isConnected(), true);
+  const health = supervisor.health();
+  assert.strictEqual(health.restarts, 1);
+  assert.ok(health.lastDisconnectAt);
+  await supervisor.close();
+  assert.strictEqual(supervisor.health().status, 'stopped');
+  assert.strictEqual(supervisor.health().restarts, 1);
+});
+
+test('supervisor retries failed launches with backoff', async () => {
+  const delays = [];
+  let attempts = 0;
+  const supervisor = createBrowserSupervisor({
+    launch: async () => {
+      if (++attempts < 3) throw new Error('Failed to launch the browser process!');
+      return fakeBrowser();
+    },
+    logger,
+    restartBaseMs: 100,
+    restartMaxMs: 150,
+    sleep: async (ms) => { delays.push(ms); }
+  });
+
+  const browser = await supervisor.getBrowser();
+  assert.strictEqual(browser.isConnected(), true);
+  assert.deepStrictEqual(delays, [100, 150]);
+  assert.strictEqual(supervisor.health().launchFailures, 2);
+  await supervisor.close();
+  await assert.rejects(supervisor.getBrowser(), /stopped/);
+});
+
+test('close and cancelLaunch end the wait between launch attempts', async () => {
+  let attempts = 0;
+  const supervisor = createBrowserSupervisor({
+    launch: async () => {
+      if (++attempts === 1) throw new Error('Failed to launch the browser process!');
+      return fakeBrowser();
+    },
+    logger,
+    restartBaseMs: 60000
+  });
+
+  const started = Date.now();
+  const waiting = supervisor.getBrowser();
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  supervisor.cancelLaunch();
+  await assert.rejects(waiting, /Browser launch cancelled/);
+  assert.ok(Date.now() - started < 1000);
+
+  // The next call starts over and launches
+  assert.strictEqual((await supervisor.getBrowser()).isConnected(), true);
+  assert.strictEqual(attempts, 2);
+
+  attempts = 0;
+  const closing = createBrowserSupervisor({ launch: async () => { attempts++; throw new Error('no Chromium'); }, logger, restartBaseMs: 60000 });
+  const relaunch = closing.getBrowser();
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  await closing.close();
+  await assert.rejects(relaunch, /stopped/);
+  assert.ok(Date.now() - started < 1000);
+  assert.strictEqual(attempts, 1);
+  await supervisor.close();
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig } = require('../src/config');
+const { createJsonStorage } = require('../src/storage');
+const { createEngine } = require('../src/engine');
+const { createSuppressionList } = require('../src/suppressions');
+const { createPortalGuard } = require('../src/portal-guard');
+const { createSchedule } = require('../src/schedule');
+const { createCommands, parseCommandLine, runCommandLine } = require('../src/cli');
+
+const logger = { info() {}, warn() {}, error() {} };
+
+// Stand-in for createScraper: every lookup finds the same consumer
+function fakeScraper() {
+  const calls = { launched: 0, closed: 0, lookups: [] };
+  return {
+    calls,
+    setupBrowser: async () => {
+      calls.launched++;
+      return { close: async () => { calls.closed++; } };
+    },
+    openPage: async () => ({ close: async () => {} }),
+    processService: async (page, circleCode, serviceNumber, { isSuppressed = () => false } = {}) => {
+      calls.lookups.push(`${circleCode}-${serviceNumber}`);
+      if (isSuppressed('110012345')) return { serviceNo: `${circleCode} ${serviceNumber}`, status: 'suppressed' };
+      return {
+        serviceNo: `${circleCode} ${serviceNumber}`, uniqueServiceNo: '110012345', customerName: 'RAMESH KUMAR',
+        address: '1-2-3 MAIN ROAD', ero: 'ERO 1', mobile: '9876543210', status: 'success', billStatus: 'success',
+        bill: { amount: 450 }, processedAt: new Date().toISOString()
+      };
+    }
+  };
+}
+
+// The services createCommands needs, with a fake scraper and a run window
+// that is closed outside 03:00-03:59 UTC
+function testServices({ at = '2024-01-15T03:30:00Z' } = {}) {
+  const config = loadConfig({ WORKER_ID: 'test-worker' });
+  const storage = createJsonStorage({ filePath: null, logger });
+  const scraper = fakeScraper();
+  const suppressionList = createSuppressionList({ storage, logger });
+  const portal = createPortalGuard({ ...config.portal, logger });
+  const schedule = createSchedule({ window: '* 3 * * *', timezone: 'UTC', now: () => new Date(at) });
+  const engine = createEngine({ config, storage, scraper, logger, suppressions: suppressionList, portal, schedule });
+  const captured = [];
+  const snapshots = { capture: async (page, label) => { captured.push(label); return `snapshots/${label}`; } };
+  const services = { storage, scraper, suppressionList, portal, engine, snapshots, retention: null };
+  return { config, storage, scraper, captured, commands: createCommands({ config, services, logger }) };
+}
+
+test('lookup is a dry run: the parsed result is returned masked and nothing is stored', async () => {
+  const { storage, scraper, captured, commands } = testServices();
+
+  const { result, snapshot } = await commands.lookup('1213', '001', { snapshot: true });
+  assert.strictEqual(result.status, 'success');
+  assert.deepStrictEqual(result.bill, { amount: 450 });
+  assert.strictEqual(result.mobile, '98******10');
+  assert.strictEqual(result.customerName, 'RA********AR');
+  assert.strictEqual(snapshot, 'snapshots/lookup-1213-001');
+  assert.deepStrictEqual(captured, ['lookup-1213-001']);
+  assert.deepStrictEqual(scraper.calls, { launched: 1, closed: 1, lookups: ['1213-001'] });
+  assert.deepStrictEqual(await storage.rows('tgspdcl_automation_data'), []);
+
+  const unmasked = await commands.lookup('1213', '001', { showPii: true });
+  assert.strictEqual(unmasked.result.mobile, '9876543210');
+  assert.strictEqual(unmasked.snapshot, null);
+});
+
+test('lookup keeps to the run window and the suppression list', async () => {
+  const closed = testServices({ at: '2024-01-15T10:00:00Z' });
+  await assert.rejects(closed.commands.lookup('1213', '001'), {
+    reason: 'conflict', message: /Outside the run window "\* 3 \* \* \*"; it next opens at 2024-01-16T03:00:00.000Z/
+  });
+  assert.strictEqual((await closed.commands.lookup('1213', '001', { ignoreWindow: true })).result.status, 'success');
+
+  const { storage, scraper, commands } = testServices();
+  await assert.rejects(commands.lookup('12', '1'), (error) => error.reason === 'invalid' && error.details.length === 2);
+  await storage.addSuppression({ service_no: '1213 002', unique_service_no: '110012345' });
+  assert.deepStrictEqual((await commands.lookup('1213', '002')).result, { serviceNo: '1213 002', status: 'suppressed' });
+  assert.deepStrictEqual(scraper.calls.lookups, []);
+  // Found to be suppressed by its unique service number once looked up
+  assert.strictEqual((await commands.lookup('1213', '003')).result.status, 'suppressed');
+});
+
+test('enqueue and status manage jobs as the REST API does', async () => {
+  const { commands } = testServices();
+
+  const job = await commands.enqueue({ circle_code: '1213', digits_in_service_code: 3, range_end: 99 });
+  assert.strictEqual(job.status, 'PENDING');
+  await assert.rejects(commands.enqueue({ circle_code: '1213', digits_in_service_code: 3 }), { reason: 'conflict' });
+  await assert.rejects(commands.enqueue({ circle_code: '1213', digits_in_service_code: 9 }), { reason: 'invalid' });
+
+  assert.strictEqual((await commands.status({ id: job.id })).range_end, 99);
+  assert.deepStrictEqual((await commands.status({ status: 'PENDING' })).map((row) => row.id), [job.id]);
+  assert.deepStrictEqual(await commands.status({ status: 'COMPLETED' }), []);
+  await assert.rejects(commands.status({ id: 42 }), { reason: 'not_found' });
+});
+
+test('command line arguments are parsed as the commands expect', async () => {
+  const { commands } = testServices();
+  const cli = (...argv) => runCommandLine(commands, parseCommandLine(argv));
+
+  const job = await cli('enqueue', '1213', '3', '--range-start', '10', '--range-end', '99', '--persist-fields', 'bill, mobile');
+  assert.deepStrictEqual([job.range_start, job.range_end, job.persist_fields], [10, 99, ['mobile', 'bill']]);
+  await assert.rejects(cli('enqueue', '1214', 'three'), { reason: 'invalid' });
+
+  assert.strictEqual((await cli('status', String(job.id))).id, job.id);
+  assert.deepStrictEqual((await cli('status', '--status', 'PENDING')).map((row) => row.id), [job.id]);
+  assert.deepStrictEqual((await cli('status', '--status', 'pending')).map((row) => row.id), [job.id]);
+  await assert.rejects(cli('status', '--status', 'done'), { reason: 'invalid' });
+  await assert.rejects(cli('status', 'abc'), { reason: 'invalid', message: 'Invalid job id "abc"' });
+  await assert.rejects(cli('status', '0'), { reason: 'invalid' });
+  await assert.rejects(cli('status', '42'), { reason: 'not_found' });
+  assert.throws(() => cli('lookup', '1213', '001', '--bogus'), /Unknown option '--bogus'/);
+});
@@ -0,0 +1,544 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig } = require('../src/config');
+const { createJsonStorage } = require('../src/storage');
+const { createEngine } = require('../src/engine');
+const { createJobs } = require('../src/jobs');
+const { createShutdown } = require('../src/shutdown');
+
+const logger = { info() {}, warn() {}, error() {} };
+
+function testConfig(env = {}) {
+  return loadConfig({ WORKER_ID: 'test-worker', REQUEST_DELAY_MS: '0', REQUEST_JITTER_MS: '0', ...env });
+}
+
+// Stand-in for the browser supervisor
+const browsers = { getBrowser: async () => ({}), health: () => ({ status: 'connected' }), cancelLaunch: () => {}, close: async () => {} };
+
+// Stand-in for createScraper: answers from a map of service numbers to outcomes
+function fakeScraper(outcomes = {}) {
+  const calls = [];
+  return {
+    calls,
+    openPage: async () => ({ close: async () => {} }),
+    processService: async (page, circleCode, serviceNumber, { isSuppressed = () => false } = {}) => {
+      calls.push(serviceNumber);
+      if (isSuppressed(`U${serviceNumber}`)) return { serviceNo: `${circleCode} ${serviceNumber}`, status: 'suppressed' };
+      const status = outcomes[serviceNumber] || 'not_found';
+      if (status === 'throw') throw new Error('Protocol error (Target.createTarget): Target closed.');
+      return { serviceNo: `${circleCode} ${serviceNumber}`, uniqueServiceNo: `U${serviceNumber}`, status, bill: {}, processedAt: new Date().toISOString() };
+    }
+  };
+}
+
+test('processCircleCode walks the range and releases the circle as COMPLETED', async () => {
+  const config = testConfig();
+  const storage = createJsonStorage({ filePath: null, logger });
+  const scraper = fakeScraper({ 3: 'success', 7: 'bill_unavailable', 8: 'throw' });
+  const engine = createEngine({ config, storage, scraper, logger, browsers });
+
+  await storage.addCircleCode({ circle_code: '1213', digits_in_service_code: 1 });
+  const circle = await storage.claimNextTask(config.jobs.workerId, config.jobs);
+  await engine.processCircleCode(circle);
+
+  assert.strictEqual(scraper.calls.length, 10);
+  const [row] = await storage.rows('circle_codes');
+  assert.strictEqual(row.status, 'COMPLETED');
+  assert.strictEqual(row.lease_owner, null);
+  assert.deepStrictEqual(row.outcome_counts, { not_found: 7, success: 1, bill_unavailable: 1, browser_crashed: 1 });
+  assert.strictEqual(row.total_services, 10);
+  assert.strictEqual(row.successful_services, 2);
+  assert.strictEqual(row.failed_services, 1);
+  assert.ok(row.started_at && row.completed_at);
+
+  const [run] = await storage.rows('circle_runs');
+  assert.strictEqual(run.status, 'COMPLETED');
+  assert.strictEqual(run.processed, 10);
+  assert.strictEqual(run.last_service, 9);
+  assert.strictEqual(run.final_error, null);
+  assert.ok(run.duration_ms >= 0);
+  assert.deepStrictEqual((await storage.rows('tgspdcl_automation_data')).map((r) => r.service_no), ['1213 3', '1213 7']);
+});
+
+test('processCircleCode stops when the lease is taken over', async () => {
+  const config = testConfig({ JOB_HEARTBEAT_SECONDS: '0' });
+  const storage = createJsonStorage({ filePath: null, logger });
+  const scraper = fakeScraper();
+  // Every heartbeat fails, as if another worker had reclaimed the circle
+  const engine = createEngine({ config, storage: { ...storage, renewLease: async () => false }, scraper, logger, browsers });
+  scraper.processService = async (page, circleCode, serviceNumber) => {
+    scraper.calls.push(serviceNumber);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    return { status: 'not_found' };
+  };
+
+  await storage.addCircleCode({ circle_code: '1213', digits_in_service_code: 2 });
+  const circle = await storage.claimNextTask(config.jobs.workerId, config.jobs);
+  await engine.processCircleCode(circle);
+
+  assert.ok(scraper.calls.length < 100);
+  const [row] = await storage.rows('circle_codes');
+  assert.strictEqual(row.status, 'PROCESSING');
+  assert.strictEqual(row.lease_owner, 'test-worker');
+  const [run] = await storage.rows('circle_runs');
+  assert.strictEqual(run.status, 'LEASE_LOST');
+});
+
+test('a heartbeat that fails is retried and does not give up the lease', async () => {
+  const config = testConfig({ JOB_HEARTBEAT_SECONDS: '0' });
+  const storage = createJsonStorage({ filePath: null, logger });
+  const scraper = fakeScraper();
+  let renewals = 0;
+  // Every renewal errors, as while Supabase is unreachable
+  const renewLease = async () => {
+    renewals++;
+    return null;
+  };
+  const engine = createEngine({ config, storage: { ...storage, renewLease }, scraper, logger, browsers });
+  const lookup = scraper.processService;
+  scraper.processService = async (...args) => {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    return lookup(...args);
+  };
+
+  await storage.addCircleCode({ circle_code: '1213', digits_in_service_code: 1 });
+  await engine.processCircleCode(await storage.claimNextTask(config.jobs.workerId, config.jobs));
+
+  assert.strictEqual(scraper.calls.length, 10);
+  assert.strictEqual((await storage.rows('circle_codes'))[0].status, 'COMPLETED');
+  assert.ok(renewals > 1);
+  assert.match(await engine.metrics.registry.metrics(), /operation="renew_lease"\} [1-9]/);
+});
+
+test('a checkpoint that could not be saved does not give up the lease', async () => {
+  const config = testConfig();
+  const storage = createJsonStorage({ filePath: null, logger });
+  const scraper = fakeScraper();
+  // The storage call fails for two of the numbers, as on a transient Supabase error
+  const saveCheckpoint = async (id, owner, lastCompleted, fields) => ([2, 3].includes(lastCompleted) ? null : storage.saveCheckpoint(id, owner, lastCompleted, fields));
+  const engine = createEngine({ config, storage: { ...storage, saveCheckpoint }, scraper, logger, browsers });
+
+  await storage.addCircleCode({ circle_code: '1213', digits_in_service_code: 1 });
+  await engine.processCircleCode(await storage.claimNextTask(config.jobs.workerId, config.jobs));
+
+  assert.strictEqual(scraper.calls.length, 10);
+  const [row] = await storage.rows('circle_codes');
+  assert.strictEqual(row.status, 'COMPLETED');
+  assert.strictEqual(row.last_completed_service, 9);
+  assert.match(await engine.metrics.registry.metrics(), /tgspdcl_storage_write_failures_total\{backend="json",operation="save_checkpoint"\} 2/);
+});
+
+test('a result that could not be saved keeps the checkpoint before it', async () => {
+  const config = testConfig({ JOB_MAX_ATTEMPTS: '2' });
+  const storage = createJsonStorage({ filePath: null, logger });
+  const scraper = fakeScraper({ 3: 'success', 6: 'success' });
+  // Saving fails for number 6 only, even when retried
+  let failedSaves = 0;
+  const saveResult = async (data) => (data.serviceNo === '1213 6' ? (failedSaves++, false) : storage.saveResult(data));
+  const engine = createEngine({ config, storage: { ...storage, saveResult }, scraper, logger, browsers });
+
+  await storage.addCircleCode({ circle_code: '1213', digits_in_service_code: 1 });
+  await engine.processCircleCode(await storage.claimNextTask(config.jobs.workerId, config.jobs));
+
+  assert.deepStrictEqual(scraper.calls, ['0', '1', '2', '3', '4', '5', '6']);
+  assert.strictEqual(failedSaves, 3);
+  let [row] = await storage.rows('circle_codes');
+  assert.strictEqual(row.status, 'PENDING');
+  assert.strictEqual(row.last_completed_service, 5);
+  assert.strictEqual(row.total_services, 6);
+  assert.strictEqual(row.successful_services, 1);
+  assert.match(row.remarks, /Could not save the result for 1213-6/);
+  const [run] = await storage.rows('circle_runs');
+  assert.deepStrictEqual([run.status, run.last_service], ['FAILED', 5]);
+  assert.match(await engine.metrics.registry.metrics(), /tgspdcl_storage_write_failures_total\{backend="json",operation="save_result"\} 3/);
+
+  // The last attempt fails the circle, still before the unsaved number
+  await engine.processCircleCode(await storage.claimNextTask(config.jobs.workerId, config.jobs));
+  [row] = await storage.rows('circle_codes');
+  assert.deepStrictEqual([row.status, row.last_completed_service, row.total_services], ['FAILED', 5, 6]);
+  assert.deepStrictEqual(scraper.calls.slice(7), ['6']);
+  assert.deepStrictEqual((await storage.rows('tgspdcl_automation_data')).map((r) => r.service_no), ['1213 3']);
+});
+
+test('serviceRange honours the job range and the checkpoint', () => {
+  const { serviceRange } = createEngine({ config: testConfig(), storage: {}, scraper: {}, logger, browsers });
+  assert.deepStrictEqual(serviceRange({ digits_in_service_code: 3 }), { startIndex: 0, endIndex: 999 });
+  assert.deepStrictEqual(serviceRange({ digits_in_service_code: 3, range_start: 100, range_end: 199 }), { startIndex: 100, endIndex: 199 });
+  assert.deepStrictEqual(serviceRange({ digits_in_service_code: 3, range_start: 100, range_end: 199, last_completed_service: 150 }), { startIndex: 151, endIndex: 199 });
+  // A checkpoint from before the range started is ignored
+  assert.deepStrictEqual(serviceRange({ digits_in_service_code: 3, range_start: 100, last_completed_service: 20 }), { startIndex: 100, endIndex: 999 });
+  assert.deepStrictEqual(serviceRange({ digits_in_service_code: 2, range_end: 5000 }), { startIndex: 0, endIndex: 99 });
+});
+
+test('a resumed circle continues after its checkpoint', async () => {
+  const config = testConfig();
+  const storage = createJsonStorage({ filePath: null, logger });
+  const scraper = fakeScraper();
+  const engine = createEngine({ config, storage, scraper, logger, browsers });
+
+  const { id } = await storage.addCircleCode({ circle_code: '1213', digits_in_service_code: 1 });
+  // A previous run got through 0-4 before the process died
+  await storage.updateCircleCodeStatus(id, 'PENDING', {
+    last_completed_service: 4, total_services: 5, successful_services: 2, failed_services: 0, outcome_counts: { not_found: 3, success: 2 }
+  });
+  await engine.processCircleCode(await storage.claimNextTask(config.jobs.workerId, config.jobs));
+
+  assert.deepStrictEqual(scraper.calls, ['5', '6', '7', '8', '9']);
+  const [row] = await storage.rows('circle_codes');
+  assert.strictEqual(row.last_completed_service, 9);
+  assert.strictEqual(row.status, 'COMPLETED');
+  // Statistics carry over from the earlier attempt
+  assert.strictEqual(row.total_services, 10);
+  assert.strictEqual(row.successful_services, 2);
+  assert.deepStrictEqual(row.outcome_counts, { not_found: 8, success: 2 });
+  const [run] = await storage.rows('circle_runs');
+  assert.strictEqual(run.range_start, 5);
+  assert.strictEqual(run.processed, 5);
+});
+
+test('a sub-range job only looks up its own numbers', async () => {
+  const config = testConfig();
+  const storage = createJsonStorage({ filePath: null, logger });
+  const scraper = fakeScraper();
+  const engine = createEngine({ config, storage, scraper, logger, browsers });
+
+  await storage.addCircleCode({ circle_code: '1213', digits_in_service_code: 3, range_start: 10, range_end: 13 });
+  await engine.processCircleCode(await storage.claimNextTask(config.jobs.workerId, config.jobs));
+
+  assert.deepStrictEqual(scraper.calls, ['010', '011', '012', '013']);
+});
+
+test('a new attempt closes runs left RUNNING by a dead worker', async () => {
+  const storage = createJsonStorage({ filePath: null, logger });
+  const { id } = await storage.addCircleCode({ circle_code: '1213', digits_in_service_code: 1 });
+  const first = await storage.startRun({ circle_code_id: id, circle_code: '1213', attempt: 1 });
+  const second = await storage.startRun({ circle_code_id: id, circle_code: '1213', attempt: 2 });
+
+  const runs = await storage.rows('circle_runs');
+  assert.strictEqual(runs.find((r) => r.id === first.id).status, 'ABANDONED');
+  assert.strictEqual(runs.find((r) => r.id === second.id).status, 'RUNNING');
+});
+
+test('stop lets the in-flight lookup finish and returns the circle to PENDING', async () => {
+  const config = testConfig();
+  const storage = createJsonStorage({ filePath: null, logger });
+  const scraper = fakeScraper({ '02': 'success' });
+  const engine = createEngine({ config, storage, scraper, logger, browsers });
+  const lookup = scraper.processService;
+  let stopped = null;
+  scraper.processService = async (page, circleCode, serviceNumber) => {
+    if (serviceNumber === '03') stopped = engine.stop();
+    return lookup(page, circleCode, serviceNumber);
+  };
+
+  await storage.addCircleCode({ circle_code: '1213', digits_in_service_code: 2 });
+  const running = engine.runAutomation();
+  while (!stopped) await new Promise((resolve) => setTimeout(resolve, 1));
+  await stopped;
+  await running;
+
+  assert.deepStrictEqual(scraper.calls, ['00', '01', '02', '03']);
+  assert.strictEqual(engine.state.status, 'stopped');
+  const [row] = await storage.rows('circle_codes');
+  assert.strictEqual(row.status, 'PENDING');
+  assert.strictEqual(row.lease_owner, null);
+  assert.strictEqual(row.last_completed_service, 3);
+  assert.strictEqual(row.total_services, 4);
+  // The interrupted claim does not count towards JOB_MAX_ATTEMPTS
+  assert.strictEqual(row.attempts, 0);
+  const [run] = await storage.rows('circle_runs');
+  assert.strictEqual(run.status, 'INTERRUPTED');
+  assert.strictEqual(run.last_service, 3);
+  assert.strictEqual((await storage.rows('tgspdcl_automation_data')).length, 1);
+});
+
+test('a lookup cut short by a shutdown signal is looked up again on resume', async () => {
+  const config = testConfig();
+  const storage = createJsonStorage({ filePath: null, logger });
+  const scraper = fakeScraper();
+  const engine = createEngine({ config, storage, scraper, logger, browsers });
+  const shutdown = createShutdown({ engine, logger, graceMs: 1000, exit: () => {} });
+  const lookup = scraper.processService;
+  let signalled = null;
+  scraper.processService = async (page, circleCode, serviceNumber) => {
+    if (serviceNumber !== '3') return lookup(page, circleCode, serviceNumber);
+    // The browser closes under the lookup while it is in flight
+    signalled = shutdown('SIGTERM');
+    throw new Error('Protocol error (Input.dispatchKeyEvent): Target closed.');
+  };
+
+  await storage.addCircleCode({ circle_code: '1213', digits_in_service_code: 1, range_end: 3 });
+  const running = engine.runAutomation();
+  while (!signalled) await new Promise((resolve) => setTimeout(resolve, 1));
+  await signalled;
+  await running;
+
+  const [row] = await storage.rows('circle_codes');
+  assert.strictEqual(row.status, 'PENDING');
+  assert.strictEqual(row.last_completed_service, 2);
+  assert.strictEqual(row.total_services, 3);
+  assert.strictEqual(row.outcome_counts.browser_crashed, undefined);
+  assert.strictEqual(engine.serviceRange(row).startIndex, 3);
+});
+
+test('a shutdown signal during a browser relaunch does not wait out the backoff', async () => {
+  const config = testConfig({ BROWSER_RESTART_BASE_MS: '60000' });
+  const storage = createJsonStorage({ filePath: null, logger });
+  const infos = [];
+  const scraper = { ...fakeScraper(), setupBrowser: async () => { throw new Error('Failed to launch the browser process!'); } };
+  const engine = createEngine({ config, storage, scraper, logger: { ...logger, info: (message) => infos.push(message) } });
+  const shutdown = createShutdown({ engine, logger, graceMs: 5000, exit: () => {} });
+
+  const running = engine.runAutomation();
+  while (engine.browsers.health().launchFailures === 0) await new Promise((resolve) => setTimeout(resolve, 1));
+  const started = Date.now();
+  await shutdown('SIGTERM');
+  await running;
+
+  assert.ok(Date.now() - started < 1000);
+  assert.strictEqual(engine.state.status, 'stopped');
+  assert.ok(infos.includes('Automation engine stopped'));
+});
+
+test('stop releases the circle without waiting past the timeout', async () => {
+  const config = testConfig();
+  const storage = createJsonStorage({ filePath: null, logger });
+  const scraper = fakeScraper();
+  const engine = createEngine({ config, storage, scraper, logger, browsers });
+  const lookup = scraper.processService;
+  let hang = null;
+  scraper.processService = async (page, circleCode, serviceNumber) => {
+    // The third lookup never answers, like a page stuck in navigation
+    if (serviceNumber === '2') return new Promise((resolve) => { hang = resolve; });
+    return lookup(page, circleCode, serviceNumber);
+  };
+
+  await storage.addCircleCode({ circle_code: '1213', digits_in_service_code: 1 });
+  engine.runAutomation();
+  while (!hang) await new Promise((resolve) => setTimeout(resolve, 1));
+  await engine.stop({ timeoutMs: 10 });
+
+  const [row] = await storage.rows('circle_codes');
+  assert.strictEqual(row.status, 'PENDING');
+  assert.strictEqual(row.last_completed_service, 1);
+  const [run] = await storage.rows('circle_runs');
+  assert.strictEqual(run.status, 'INTERRUPTED');
+
+  // The late answer must not overwrite the release
+  hang({ status: 'not_found' });
+  await engine.runAutomation();
+  assert.strictEqual((await storage.rows('circle_runs'))[0].status, 'INTERRUPTED');
+  assert.strictEqual((await storage.rows('circle_codes'))[0].status, 'PENDING');
+});
+
+test('stop wakes an idle engine without waiting for the next poll', async () => {
+  const storage = createJsonStorage({ filePath: null, logger });
+  const engine = createEngine({ config: testConfig({ JOB_POLL_SECONDS: '3600' }), storage, scraper: fakeScraper(), logger, browsers });
+
+  const running = engine.runAutomation();
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  await engine.stop();
+  await running;
+  assert.strictEqual(engine.state.status, 'stopped');
+});
+
+test('pausing or cancelling a running job stops it between service numbers', async () => {
+  for (const [action, status] of [['pause', 'PAUSED'], ['cancel', 'CANCELLED']]) {
+    const config = testConfig();
+    const storage = createJsonStorage({ filePath: null, logger });
+    const scraper = fakeScraper();
+    const engine = createEngine({ config, storage, scraper, logger, browsers });
+    const jobs = createJobs({ storage, logger });
+    const lookup = scraper.processService;
+    scraper.processService = async (page, circleCode, serviceNumber) => {
+      if (serviceNumber === '04') await jobs.act(circle.id, action);
+      return lookup(page, circleCode, serviceNumber);
+    };
+
+    await storage.addCircleCode({ circle_code: '1213', digits_in_service_code: 2 });
+    const circle = await storage.claimNextTask(config.jobs.workerId, config.jobs);
+    await engine.processCircleCode(circle);
+
+    assert.deepStrictEqual(scraper.calls, ['00', '01', '02', '03', '04']);
+    const [row] = await storage.rows('circle_codes');
+    assert.strictEqual(row.status, status);
+    assert.strictEqual(row.lease_owner, null);
+    assert.strictEqual(row.last_completed_service, 4);
+    assert.strictEqual(row.attempts, status === 'PAUSED' ? 0 : 1);
+    const [run] = await storage.rows('circle_runs');
+    assert.strictEqual(run.status, status);
+  }
+});
+
+test('only the allowed fields of a lookup are stored', async () => {
+  const config = testConfig({ PERSIST_FIELDS: 'ero,bill,mobile' });
+  const storage = createJsonStorage({ filePath: null, logger });
+  const scraper = fakeScraper();
+  scraper.processService = async (page, circleCode, serviceNumber) => ({
+    serviceNo: `${circleCode} ${serviceNumber}`, uniqueServiceNo: `U${serviceNumber}`, customerName: 'Ravi Kumar',
+    address: '1-2-3, Ameerpet', ero: 'Ameerpet', mobile: '9876543221', status: 'success', billStatus: 'success',
+    bill: { amount: 1234, currency: 'INR' }
+  });
+  const engine = createEngine({ config, storage, scraper, logger, browsers });
+
+  // The job narrows the deployment's list further
+  await storage.addCircleCode({ circle_code: '1213', digits_in_service_code: 1, range_end: 0, persist_fields: ['bill', 'ero'] });
+  await engine.processCircleCode(await storage.claimNextTask(config.jobs.workerId, config.jobs));
+
+  const [row] = await storage.rows('tgspdcl_automation_data');
+  assert.strictEqual(row.unique_service_no, 'U0');
+  assert.strictEqual(row.ero, 'Ameerpet');
+  assert.strictEqual(row.bill_amount, 1234);
+  assert.strictEqual(row.customer_name, null);
+  assert.strictEqual(row.address, null);
+  assert.strictEqual(row.mobile, null);
+  assert.throws(() => createEngine({ config: testConfig({ PERSIST_FIELDS: 'email' }), storage, scraper, logger, browsers }), /PERSIST_FIELDS/);
+});
+
+test('suppressed consumers are skipped and never stored', async () => {
+  const config = testConfig();
+  const storage = createJsonStorage({ filePath: null, logger });
+  const scraper = fakeScraper({ 2: 'success', 3: 'success', 4: 'success' });
+  const engine = createEngine({ config, storage, scraper, logger, browsers });
+  await storage.addSuppression({ service_no: '1213 2', unique_service_no: null });
+  // Only the unique service number is known, so the portal is asked for it once
+  await storage.addSuppression({ service_no: null, unique_service_no: 'U3' });
+
+  await storage.addCircleCode({ circle_code: '1213', digits_in_service_code: 1, range_start: 1, range_end: 4 });
+  await engine.processCircleCode(await storage.claimNextTask(config.jobs.workerId, config.jobs));
+
+  assert.deepStrictEqual(scraper.calls, ['1', '3', '4']);
+  assert.deepStrictEqual((await storage.rows('tgspdcl_automation_data')).map((row) => row.service_no), ['1213 4']);
+  const [row] = await storage.rows('circle_codes');
+  assert.strictEqual(row.status, 'COMPLETED');
+  assert.deepStrictEqual(row.outcome_counts, { not_found: 1, suppressed: 2, success: 1 });
+  assert.strictEqual(row.failed_services, 0);
+});
+
+test('lookups wait while the portal circuit breaker is open', async () => {
+  const config = testConfig({ PORTAL_BREAKER_THRESHOLD: '2', PORTAL_BREAKER_BASE_MS: '30', PORTAL_BREAKER_MAX_MS: '30' });
+  const storage = createJsonStorage({ filePath: null, logger });
+  const scraper = fakeScraper({ 0: 'timeout', 1: 'timeout', 2: 'success' });
+  const engine = createEngine({ config, storage, scraper, logger, browsers });
+
+  await storage.addCircleCode({ circle_code: '1213', digits_in_service_code: 1, range_end: 2 });
+  const started = Date.now();
+  await engine.processCircleCode(await storage.claimNextTask(config.jobs.workerId, config.jobs));
+
+  assert.ok(Date.now() - started >= 25);
+  assert.deepStrictEqual(scraper.calls, ['0', '1', '2']);
+  assert.strictEqual(engine.portal.health().breaker, 'closed');
+  assert.ok(engine.portal.health().lastOpenedAt);
+  assert.strictEqual((await storage.rows('circle_codes'))[0].status, 'COMPLETED');
+});
+
+test('a circle goes back to PENDING when its run window closes', async () => {
+  const config = testConfig();
+  const storage = createJsonStorage({ filePath: null, logger });
+  const scraper = fakeScraper();
+  let checks = 0;
+  const schedule = { isOpen: () => checks++ < 3, status: () => ({}) };
+  const engine = createEngine({ config, storage, scraper, logger, browsers, schedule });
+
+  await storage.addCircleCode({ circle_code: '1213', digits_in_service_code: 1, run_window: '* 22-23 * * *' });
+  await engine.processCircleCode(await storage.claimNextTask(config.jobs.workerId, config.jobs));
+
+  assert.deepStrictEqual(scraper.calls, ['0', '1', '2']);
+  const [row] = await storage.rows('circle_codes');
+  assert.strictEqual(row.status, 'PENDING');
+  assert.strictEqual(row.last_completed_service, 2);
+  assert.strictEqual(row.attempts, 0);
+  assert.strictEqual(row.remarks, 'Interrupted by run window at 2');
+  const [run] = await storage.rows('circle_runs');
+  assert.strictEqual(run.status, 'INTERRUPTED');
+  assert.strictEqual(run.final_error, 'Run window closed');
+});
+
+test('circles outside their run window are not claimed', async () => {
+  const config = testConfig({ JOB_POLL_SECONDS: '3600' });
+  const storage = createJsonStorage({ filePath: null, logger });
+  const scraper = fakeScraper();
+  const schedule = { isOpen: (circle) => circle.run_window !== 'closed', status: () => ({}) };
+  const engine = createEngine({ config, storage, scraper, logger, browsers, schedule });
+
+  await storage.addCircleCode({ circle_code: '1213', digits_in_service_code: 1, run_window: 'closed' });
+  await storage.addCircleCode({ circle_code: '1214', digits_in_service_code: 1 });
+  const running = engine.runAutomation();
+  while ((await storage.rows('circle_codes'))[1].status !== 'COMPLETED') await new Promise((resolve) => setTimeout(resolve, 1));
+  await engine.stop();
+  await running;
+
+  const [waiting] = await storage.rows('circle_codes');
+  assert.strictEqual(waiting.status, 'PENDING');
+  assert.strictEqual(waiting.attempts, 0);
+  assert.strictEqual(scraper.calls.length, 10);
+});
+
+test('a run is paused with an alert once layout_changed lookups cross the threshold', async () => {
+  const config = testConfig({ LAYOUT_DRIFT_WINDOW: '4', LAYOUT_DRIFT_PERCENT: '75' });
+  const storage = createJsonStorage({ filePath: null, logger });
+  // The portal markup "changes" from number 3 on; a bill page alone counts too
+  const scraper = fakeScraper({ 1: 'success', 3: 'layout_changed', 4: 'layout_changed' });
+  const lookup = scraper.processService;
+  scraper.processService = async (page, circleCode, serviceNumber, options) => (serviceNumber === '5'
+    ? { ...(await lookup(page, circleCode, serviceNumber, options)), status: 'bill_unavailable', billStatus: 'layout_changed' }
+    : lookup(page, circleCode, serviceNumber, options));
+  const engine = createEngine({ config, storage, scraper, logger, browsers });
+
+  await storage.addCircleCode({ circle_code: '1213', digits_in_service_code: 1 });
+  await engine.processCircleCode(await storage.claimNextTask(config.jobs.workerId, config.jobs));
+
+  assert.deepStrictEqual(scraper.calls, ['0', '1', '2', '3', '4', '5']);
+  const [row] = await storage.rows('circle_codes');
+  assert.strictEqual(row.status, 'PAUSED');
+  assert.strictEqual(row.last_completed_service, 5);
+  assert.strictEqual(row.attempts, 0);
+  assert.strictEqual(row.remarks, 'Layout drift: 3 of the last 4 lookups were layout_changed');
+  assert.strictEqual((await storage.rows('circle_runs'))[0].status, 'PAUSED');
+  assert.strictEqual(engine.state.lastAlert.type, 'layout_drift');
+  assert.match(engine.state.lastAlert.message, /circle 1213.*Paused at 5/);
+});
+
+test('a circle is not walked while the suppression list cannot be read', async () => {
+  const config = testConfig();
+  const storage = createJsonStorage({ filePath: null, logger });
+  const scraper = fakeScraper();
+  const engine = createEngine({ config, storage: { ...storage, listSuppressions: async () => null }, scraper, logger, browsers });
+
+  await storage.addCircleCode({ circle_code: '1213', digits_in_service_code: 1 });
+  await engine.processCircleCode(await storage.claimNextTask(config.jobs.workerId, config.jobs));
+
+  assert.deepStrictEqual(scraper.calls, []);
+  const [row] = await storage.rows('circle_codes');
+  assert.strictEqual(row.status, 'PENDING');
+  assert.match(row.remarks, /suppression list/);
+});
+
+test('lookups, failed writes and the current job are reported as metrics', async () => {
+  const config = testConfig();
+  const storage = createJsonStorage({ filePath: null, logger });
+  const scraper = fakeScraper({ 3: 'success', 4: 'success', 5: 'timeout' });
+  // Saving 1213 4 fails once and succeeds when retried
+  let failed = false;
+  const saveResult = async (data) => {
+    if (data.serviceNo === '1213 4' && !failed) return (failed = true, false);
+    return storage.saveResult(data);
+  };
+  const engine = createEngine({ config, scraper, logger, browsers, storage: { ...storage, saveResult } });
+  const progress = [];
+  const lookup = scraper.processService;
+  scraper.processService = async (...args) => {
+    progress.push(engine.progress());
+    return lookup(...args);
+  };
+
+  await storage.addCircleCode({ circle_code: '1213', digits_in_service_code: 1, range_start: 2, range_end: 6 });
+  await engine.processCircleCode(await storage.claimNextTask(config.jobs.workerId, config.jobs));
+
+  assert.deepStrictEqual(progress.map((p) => [p.processed, p.lastService, p.remaining]), [[0, null, 5], [1, 2, 4], [2, 3, 3], [3, 4, 2], [4, 5, 1]]);
+  assert.strictEqual(engine.progress(), null);
+  const text = await engine.metrics.registry.metrics();
+  assert.match(text, /tgspdcl_lookups_total\{outcome="success",circle_code="1213"\} 2/);
+  assert.match(text, /tgspdcl_lookups_total\{outcome="not_found",circle_code="1213"\} 2/);
+  assert.match(text, /tgspdcl_storage_write_failures_total\{backend="json",operation="save_result"\} 1/);
+});
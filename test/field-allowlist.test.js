@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ALL_FIELDS, parseFieldAllowlist, effectiveFields, applyFieldAllowlist } = require('../src/field-allowlist');
+
+const result = {
+  serviceNo: '1213 001', uniqueServiceNo: '110011001', customerName: 'Ravi Kumar', address: '1-2-3, Ameerpet',
+  ero: 'Ameerpet', mobile: '9876543221', status: 'success', billStatus: 'success',
+  bill: { amount: 1234, currency: 'INR', source: 'current_month_bill', rawAmount: '₹1,234.00', billDate: null, dueDate: null }
+};
+
+test('parseFieldAllowlist keeps everything by default and rejects unknown fields', () => {
+  assert.deepStrictEqual(parseFieldAllowlist([]), ALL_FIELDS);
+  assert.deepStrictEqual(parseFieldAllowlist(['bill', 'ero']), ['ero', 'bill']);
+  assert.throws(() => parseFieldAllowlist(['ero', 'phone']), /unknown field\(s\) phone/);
+});
+
+test('effectiveFields narrows the deployment list to the job list', () => {
+  assert.deepStrictEqual(effectiveFields(['ero', 'bill'], null), ['ero', 'bill']);
+  assert.deepStrictEqual(effectiveFields(['ero', 'bill'], ['bill', 'mobile']), ['bill']);
+  assert.deepStrictEqual(effectiveFields(ALL_FIELDS, []), []);
+});
+
+test('applyFieldAllowlist drops the fields that are not kept', () => {
+  const kept = applyFieldAllowlist(result, ['ero', 'bill']);
+  assert.strictEqual(kept.customerName, null);
+  assert.strictEqual(kept.address, null);
+  assert.strictEqual(kept.mobile, null);
+  assert.strictEqual(kept.ero, 'Ameerpet');
+  assert.strictEqual(kept.bill.amount, 1234);
+  // Identifiers and the outcome are always kept
+  assert.strictEqual(kept.uniqueServiceNo, '110011001');
+  assert.strictEqual(kept.status, 'success');
+
+  const noBill = applyFieldAllowlist(result, ['mobile']);
+  assert.strictEqual(noBill.bill.amount, null);
+  assert.strictEqual(noBill.bill.rawAmount, null);
+  assert.strictEqual(noBill.mobile, '9876543221');
+  assert.strictEqual(result.customerName, 'Ravi Kumar');
+});
@@ -0,0 +1,109 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'portal');
+
+// Consumers known to the stand-in portal, keyed by "<circle> <service>"
+const CONSUMERS = {
+  '1213 001': {
+    row: ['1213 001', '110011001', 'K RAMESH', 'H.NO 1-2-3, SECUNDERABAD', 'ERO SECUNDERABAD', '9876543221'],
+    bill: [['Bill Date', '05-01-2024'], ['Due Date', '19-01-2024'], ['Current Month Bill', '₹1,234.00'], ['Total Amount Payable', '₹1,500.00']]
+  },
+  '1213 002': {
+    row: ['1213 002', '110011002', 'S LAKSHMI', 'PLOT 45, KUKATPALLY', 'ERO KUKATPALLY', '9123456780'],
+    bill: [['Arrears', '0'], ['Total Amount Payable', 'Rs. 56']]
+  },
+  '1213 003': {
+    row: ['1213 003', '110011003', 'M RAJU', 'FLAT 7, AMEERPET', 'ERO AMEERPET', '9000000003'],
+    bill: [],
+    note: 'Please pay ₹ 789.50 before the due date.'
+  },
+  '1213 004': {
+    row: ['1213 004', '110011004', 'P SWATHI', 'H.NO 9-9, UPPAL', 'ERO UPPAL', '9000000004'],
+    bill: [['Bill Date', '-'], ['Remarks', 'Bill not generated']]
+  }
+};
+
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(body)));
+  });
+}
+
+function findByUkscno(ukscno) {
+  return Object.values(CONSUMERS).find((c) => c.row[1] === (ukscno || '').trim()) || null;
+}
+
+function renderBillingInfo(ukscno) {
+  const consumer = findByUkscno(ukscno);
+  if (!consumer) return fixture('billinginfo.html').replace('{{ROWS}}', '      <tr><td>No bill details found</td></tr>');
+  const rows = consumer.bill.map(([label, value]) => `      <tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`);
+  let html = fixture('billinginfo.html').replace('{{ROWS}}', rows.join('\n'));
+  if (consumer.note) html = html.replace('</table>', `</table>\n    <p>${escapeHtml(consumer.note)}</p>`);
+  return html;
+}
+
+// Serves recorded copies of /getUkscno, /getBillAmount and /billinginfo.
+// billForm controls how the bill amount input is marked up:
+//   'id' (#ukscno), 'name' (input[name=ukscno] only) or 'none' (no input at all)
+// lookupForm: false serves /getUkscno without its #ukscno input.
+// overloaded: true answers every request with 503, like a struggling portal.
+function startPortalServer({ billForm = 'id', lookupForm = true, overloaded = false } = {}) {
+  const state = { billForm, lookupForm, overloaded, requests: [] };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    state.requests.push(`${req.method} ${url.pathname}${url.search}`);
+    const send = (html, status = 200) => {
+      res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(html);
+    };
+
+    if (state.overloaded) return send('<html><body><h1>Service Unavailable</h1></body></html>', 503);
+
+    if (url.pathname === '/getUkscno' && req.method === 'GET') {
+      return send(state.lookupForm ? fixture('getUkscno.html') : fixture('getBillAmount-maintenance.html'));
+    }
+    if (url.pathname === '/getUkscno' && req.method === 'POST') {
+      const query = ((await readBody(req)).get('ukscno') || '').trim();
+      const consumer = CONSUMERS[query];
+      const rows = consumer ? `        <tr>${consumer.row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>` : '';
+      return send(fixture('getUkscno-result.html').replace('{{ROWS}}', rows));
+    }
+    if (url.pathname === '/getBillAmount') {
+      if (state.billForm === 'none') return send(fixture('getBillAmount-maintenance.html'));
+      const input = state.billForm === 'name'
+        ? '<input type="text" name="ukscno" class="form-control">'
+        : '<input type="text" id="ukscno" name="ukscno" class="form-control">';
+      return send(fixture('getBillAmount.html').replace('{{INPUT}}', input));
+    }
+    if (url.pathname === '/billinginfo') {
+      const params = req.method === 'POST' ? await readBody(req) : url.searchParams;
+      return send(renderBillingInfo(params.get('ukscno') || params.get('uniqueServiceNo')));
+    }
+    send('<html><body><h1>Not Found</h1></body></html>', 404);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        state,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startPortalServer, CONSUMERS };
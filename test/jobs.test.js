@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createJsonStorage } = require('../src/storage');
+const { createJobsRouter } = require('../src/routes/jobs');
+const { validateJob, createJobs } = require('../src/jobs');
+
+const logger = { info() {}, warn() {}, error() {} };
+
+// Serves the jobs routes on a free port; call close() when done
+async function startApi() {
+  const storage = createJsonStorage({ filePath: null, logger });
+  const app = express();
+  app.use(express.json());
+  app.use('/jobs', createJobsRouter({ storage, logger }));
+  const server = await new Promise((resolve) => { const s = app.listen(0, () => resolve(s)); });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const call = async (method, path, body) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method, headers: { 'content-type': 'application/json' }, body: body && JSON.stringify(body)
+    });
+    const json = (res.headers.get('content-type') || '').includes('application/json');
+    return { status: res.status, body: json ? await res.json() : await res.text() };
+  };
+  return { storage, call, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+test('validateJob rejects unsupported digit counts and bad ranges', () => {
+  assert.deepStrictEqual(validateJob({ circle_code: 1213, digits_in_service_code: 3 }),
+    { circle_code: '1213', digits_in_service_code: 3, range_start: null, range_end: null, persist_fields: null, run_window: null });
+  assert.deepStrictEqual(validateJob({ circle_code: '1213', digits_in_service_code: 3, persist_fields: ['bill', 'ero', 'bill'] }).persist_fields, ['ero', 'bill']);
+  const invalid = (input) => assert.throws(() => validateJob(input), (error) => error.reason === 'invalid' && error.details.length > 0);
+  invalid({ circle_code: '1213', digits_in_service_code: 7 });
+  invalid({ circle_code: '1213', digits_in_service_code: '3' });
+  invalid({ circle_code: '12a3', digits_in_service_code: 3 });
+  invalid({ circle_code: '1213', digits_in_service_code: 3, range_start: 500, range_end: 100 });
+  invalid({ circle_code: '1213', digits_in_service_code: 3, range_end: 1000 });
+  invalid({ circle_code: '1213', digits_in_service_code: 3, range_start: -1 });
+  invalid({ circle_code: '1213', digits_in_service_code: 3, persist_fields: ['mobile', 'aadhaar'] });
+  invalid({ circle_code: '1213', digits_in_service_code: 3, persist_fields: 'mobile' });
+  assert.strictEqual(validateJob({ circle_code: '1213', digits_in_service_code: 3, run_window: ' * 22-23,0-5 * * * ' }).run_window, '* 22-23,0-5 * * *');
+  invalid({ circle_code: '1213', digits_in_service_code: 3, run_window: '0 * 22-23 * * *' });
+  invalid({ circle_code: '1213', digits_in_service_code: 3, run_window: 'nightly' });
+});
+
+test('jobs API creates, lists and filters jobs', async (t) => {
+  const api = await startApi();
+  t.after(api.close);
+
+  const created = await api.call('POST', '/jobs', { circle_code: '1213', digits_in_service_code: 5, range_start: 0, range_end: 49999 });
+  assert.strictEqual(created.status, 201);
+  assert.strictEqual(created.body.job.status, 'PENDING');
+  assert.strictEqual((await api.call('POST', '/jobs', { circle_code: '1213', digits_in_service_code: 5, range_start: 50000 })).status, 201);
+
+  const rejected = await api.call('POST', '/jobs', { circle_code: '1213', digits_in_service_code: 9 });
+  assert.strictEqual(rejected.status, 400);
+  assert.match(rejected.body.details[0], /digits_in_service_code/);
+  // Overlaps the first job's range
+  assert.strictEqual((await api.call('POST', '/jobs', { circle_code: '1213', digits_in_service_code: 5, range_start: 40000, range_end: 60000 })).status, 409);
+
+  const list = await api.call('GET', '/jobs');
+  assert.strictEqual(list.body.count, 2);
+  assert.strictEqual((await api.call('GET', '/jobs?status=completed')).body.count, 0);
+  assert.strictEqual((await api.call('GET', '/jobs?status=DONE')).status, 400);
+  assert.strictEqual((await api.call('GET', `/jobs/${created.body.job.id}`)).body.job.range_end, 49999);
+  assert.strictEqual((await api.call('GET', '/jobs/999')).status, 404);
+});
+
+test('jobs API pauses, resumes, cancels and retries', async (t) => {
+  const api = await startApi();
+  t.after(api.close);
+  const { body: { job } } = await api.call('POST', '/jobs', { circle_code: '1213', digits_in_service_code: 3 });
+
+  assert.strictEqual((await api.call('POST', `/jobs/${job.id}/pause`)).body.job.status, 'PAUSED');
+  assert.strictEqual(await api.storage.claimNextTask('worker-a', { leaseSeconds: 300, maxAttempts: 3 }), null);
+  assert.strictEqual((await api.call('POST', `/jobs/${job.id}/retry`)).status, 409);
+  assert.strictEqual((await api.call('POST', `/jobs/${job.id}/resume`)).body.job.status, 'PENDING');
+  assert.strictEqual((await api.call('POST', `/jobs/${job.id}/cancel`)).body.job.status, 'CANCELLED');
+  assert.strictEqual((await api.call('POST', `/jobs/${job.id}/resume`)).status, 409);
+
+  await api.storage.updateCircleCodeStatus(job.id, 'CANCELLED', { attempts: 2, last_completed_service: 411 });
+  const retried = await api.call('POST', `/jobs/${job.id}/retry`);
+  assert.strictEqual(retried.body.job.status, 'PENDING');
+  assert.strictEqual(retried.body.job.attempts, 0);
+  assert.strictEqual(retried.body.job.last_completed_service, 411);
+
+  await api.storage.updateCircleCodeStatus(job.id, 'FAILED');
+  const fromStart = await api.call('POST', `/jobs/${job.id}/retry`, { fromStart: true });
+  assert.strictEqual(fromStart.body.job.last_completed_service, null);
+  assert.strictEqual((await api.call('POST', `/jobs/${job.id}/restart`)).status, 404);
+});
+
+test('a job cannot keep fields the deployment does not allow', async () => {
+  const storage = createJsonStorage({ filePath: null, logger });
+  const jobs = createJobs({ storage, logger, persistFields: ['ero', 'bill'] });
+
+  const job = await jobs.create({ circle_code: '1213', digits_in_service_code: 3, persist_fields: ['bill'] });
+  assert.deepStrictEqual(job.persist_fields, ['bill']);
+  await assert.rejects(jobs.create({ circle_code: '1214', digits_in_service_code: 3, persist_fields: ['bill', 'mobile'] }),
+    (error) => error.reason === 'invalid' && /mobile not allowed/.test(error.details[0]));
+});
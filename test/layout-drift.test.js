@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDriftMonitor } = require('../src/layout-drift');
+const { redactPage, createSnapshotStore } = require('../src/snapshots');
+
+const logger = { info() {}, warn() {}, error() {} };
+
+test('the drift monitor trips once the window is full and over the threshold', () => {
+  const drift = createDriftMonitor({ windowSize: 4, thresholdPercent: 50 });
+  drift.record(true);
+  drift.record(true);
+  drift.record(true);
+  assert.strictEqual(drift.tripped(), false);
+  drift.record(false);
+  assert.strictEqual(drift.tripped(), true);
+  assert.strictEqual(drift.summary(), '3 of the last 4 lookups were layout_changed');
+
+  // Older lookups drop out of the window
+  drift.record(false);
+  drift.record(false);
+  assert.strictEqual(drift.tripped(), false);
+  assert.strictEqual(drift.summary(), '1 of the last 4 lookups were layout_changed');
+
+  const off = createDriftMonitor({ windowSize: 0, thresholdPercent: 50 });
+  off.record(true);
+  assert.strictEqual(off.tripped(), false);
+});
+
+test('snapshots save the page and keep only the newest', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const page = {
+    content: async () => '<html><body>Under maintenance</body></html>',
+    screenshot: async ({ path: file }) => fs.writeFileSync(file, 'png'),
+    url: () => 'http://portal/getUkscno'
+  };
+  const snapshots = createSnapshotStore({ dir, maxFiles: 2, logger });
+
+  const first = await snapshots.capture(page, 'getUkscno-1213-001');
+  assert.match(path.basename(first), /-getUkscno-1213-001$/);
+  assert.strictEqual(fs.readFileSync(`${first}.html`, 'utf8'), '<html><body>Under maintenance</body></html>');
+  assert.ok(fs.existsSync(`${first}.png`));
+
+  await new Promise((resolve) => setTimeout(resolve, 2));
+  await snapshots.capture(page, 'results 1213/002');
+  await new Promise((resolve) => setTimeout(resolve, 2));
+  await snapshots.capture({ ...page, screenshot: async () => { throw new Error('Target closed'); } }, 'billinginfo');
+  const names = fs.readdirSync(dir).sort();
+  assert.strictEqual(names.length, 3);
+  assert.ok(names.every((name) => !name.includes('1213-001')));
+  assert.ok(names.some((name) => name.endsWith('-results_1213_002.png')));
+
+  // A failed snapshot is reported, not thrown
+  fs.writeFileSync(path.join(dir, 'not-a-directory'), '');
+  const broken = createSnapshotStore({ dir: path.join(dir, 'not-a-directory', 'snapshots'), logger });
+  assert.strictEqual(await broken.capture(page, 'x'), null);
+});
+
+test('pages with customer details are saved redacted and without a screenshot', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const warnings = [];
+  const page = {
+    content: async () => '<table><tr><th>Name</th><th>Mobile</th></tr><tr><td>Ravi Kumar</td><td>9876543221</td></tr></table>'
+      + '<input id="ukscno" value="110011001">',
+    screenshot: async () => { throw new Error('no screenshot expected'); },
+    url: () => 'http://portal/billinginfo?ukscno=110011001'
+  };
+  const snapshots = createSnapshotStore({ dir, logger: { ...logger, warn: (message) => warnings.push(message) } });
+
+  const base = await snapshots.capture(page, 'results-1213-001', { customerData: true });
+  const html = fs.readFileSync(`${base}.html`, 'utf8');
+  assert.match(html, /<table><tbody><tr><th>\[redacted\]<\/th><th>\[redacted\]<\/th><\/tr>/);
+  assert.doesNotMatch(html, /Name|Ravi|9876543221|110011001/);
+  assert.strictEqual((html.match(/\[redacted\]/g) || []).length, 5);
+  assert.ok(!fs.existsSync(`${base}.png`));
+  assert.doesNotMatch(warnings.join('\n'), /110011001/);
+});
+
+test('redaction does not depend on the details being in a table', () => {
+  const html = redactPage('<html><head><title>K RAMESH - Bill</title><style>.n { color: red }</style></head>'
+    + '<body><div class="consumer"><span>K RAMESH</span> <span>9876543221</span></div>Due: Rs. 450<!-- 110011001 -->'
+    + '<p>Plot 12, <b>Ameerpet</b></p></body></html>');
+  assert.doesNotMatch(html, /RAMESH|9876543221|450|110011001|Ameerpet|Plot/);
+  assert.match(html, /<div class="consumer"><span>\[redacted\]<\/span> <span>\[redacted\]<\/span><\/div>\[redacted\]<!--\[redacted\]-->/);
+  assert.match(html, /<p>\[redacted\]<b>\[redacted\]<\/b><\/p>/);
+  assert.match(html, /<title>\[redacted\]<\/title><style>\.n \{ color: red \}<\/style>/);
+});
+
+test('snapshots are deleted by age and by service number', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const page = { content: async () => '<html></html>', screenshot: async ({ path: file }) => fs.writeFileSync(file, 'png'), url: () => 'http://portal/getUkscno' };
+  const snapshots = createSnapshotStore({ dir, logger });
+
+  const old = await snapshots.capture(page, 'getUkscno-1213-001');
+  const day = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000);
+  fs.utimesSync(`${old}.html`, day, day);
+  await snapshots.capture(page, 'results-1213-002');
+  await snapshots.capture(page, 'lookup-1213-2');
+  await snapshots.capture(page, 'results-1213-0021');
+
+  assert.strictEqual(await snapshots.purgeBefore(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)), 1);
+  assert.strictEqual(await snapshots.eraseServiceNo('1213 002'), 2);
+  assert.deepStrictEqual(fs.readdirSync(dir).map((name) => name.replace(/^[^Z]*Z-/, '')).sort(),
+    ['results-1213-0021.html', 'results-1213-0021.png']);
+  assert.strictEqual(await createSnapshotStore({ dir: path.join(dir, 'missing'), logger }).purgeBefore(new Date()), 0);
+});
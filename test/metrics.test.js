@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMetrics } = require('../src/metrics');
+
+// The value of one series in the text format, or undefined when absent
+function sample(text, series) {
+  const line = text.split('\n').find((l) => l.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+test('lookups, fetch timings and storage failures are counted', async () => {
+  const metrics = createMetrics();
+  metrics.lookups.inc({ outcome: 'success', circle_code: '1213' });
+  metrics.lookups.inc({ outcome: 'success', circle_code: '1213' });
+  metrics.lookups.inc({ outcome: 'timeout', circle_code: '1214' });
+  metrics.timeFetch('service_details')('success');
+  metrics.storageFailures.inc({ backend: 'supabase', operation: 'save_result' });
+
+  const text = await metrics.registry.metrics();
+  assert.strictEqual(sample(text, 'tgspdcl_lookups_total{outcome="success",circle_code="1213"}'), 2);
+  assert.strictEqual(sample(text, 'tgspdcl_lookups_total{outcome="timeout",circle_code="1214"}'), 1);
+  assert.strictEqual(sample(text, 'tgspdcl_fetch_duration_seconds_count{step="service_details",outcome="success"}'), 1);
+  assert.strictEqual(sample(text, 'tgspdcl_storage_write_failures_total{backend="supabase",operation="save_result"}'), 1);
+  // Process metrics only when asked for
+  assert.ok(!text.includes('tgspdcl_process_cpu'));
+});
+
+test('observeEngine reports restarts, the breaker and the current job', async () => {
+  const metrics = createMetrics();
+  const browser = { restarts: 2, launchFailures: 0 };
+  let progress = { id: 7, circle_code: '1213', processed: 40, successful: 31, failed: 2, lastService: 1039, remaining: 960 };
+  const engine = {
+    state: { restarts: 1 },
+    browsers: { health: () => browser },
+    portal: { health: () => ({ breaker: 'half_open' }) },
+    progress: () => progress
+  };
+  metrics.observeEngine(engine);
+
+  let text = await metrics.registry.metrics();
+  assert.strictEqual(sample(text, 'tgspdcl_browser_restarts_total'), 2);
+  assert.strictEqual(sample(text, 'tgspdcl_engine_restarts_total'), 1);
+  assert.strictEqual(sample(text, 'tgspdcl_portal_breaker_open'), 0.5);
+  assert.strictEqual(sample(text, 'tgspdcl_job_remaining{job_id="7",circle_code="1213"}'), 960);
+  assert.strictEqual(sample(text, 'tgspdcl_job_last_service{job_id="7",circle_code="1213"}'), 1039);
+
+  // Totals follow the engine's own counts; job series go once it is idle
+  browser.restarts = 3;
+  progress = null;
+  text = await metrics.registry.metrics();
+  assert.strictEqual(sample(text, 'tgspdcl_browser_restarts_total'), 3);
+  assert.strictEqual(sample(text, 'tgspdcl_job_remaining{job_id="7",circle_code="1213"}'), undefined);
+
+  assert.throws(() => metrics.observeEngine(engine), /already observe/);
+});
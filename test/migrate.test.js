@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonStorage } = require('../src/storage');
+const {
+  loadMigrations, schemaError, createMigrator, createJsonTarget, createPostgresTarget
+} = require('../src/migrate');
+
+const logger = { info() {}, warn() {}, error() {} };
+
+// A scratch directory, removed once the test is done
+function tmpDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Stand-in for a pg Client: records queries and answers from a handler
+function fakeClient(handler = () => ({ rows: [] })) {
+  const queries = [];
+  return {
+    queries,
+    connect: async () => {},
+    end: async () => {},
+    query: async (sql, params) => {
+      queries.push(params ? [sql.trim(), params] : sql.trim());
+      return handler(sql.trim(), params);
+    }
+  };
+}
+
+test('loadMigrations orders the migrations by version', (t) => {
+  const dir = tmpDir(t);
+  fs.writeFileSync(path.join(dir, '002_add_notes.js'), "module.exports = { postgres: 'ALTER TABLE a ADD COLUMN notes TEXT;' };");
+  fs.writeFileSync(path.join(dir, '001_baseline.js'), "module.exports = { postgres: 'CREATE TABLE a (id INT);' };");
+  fs.writeFileSync(path.join(dir, 'README.md'), 'not a migration');
+  assert.deepStrictEqual(loadMigrations(dir).map((m) => [m.version, m.name]), [[1, 'baseline'], [2, 'add_notes']]);
+
+  fs.writeFileSync(path.join(dir, '002_other.js'), "module.exports = { postgres: '' };");
+  assert.throws(() => loadMigrations(dir), /Two migrations are numbered 2/);
+
+  const [baseline, , legacy] = loadMigrations();
+  assert.strictEqual(baseline.name, 'baseline');
+  assert.match(baseline.postgres, /CREATE OR REPLACE FUNCTION public\.claim_circle_code/);
+  assert.match(legacy.postgres, /SET fetch_status = 'not_found' WHERE fetch_status = 'Failed';/);
+});
+
+test('a local file from before migrations is brought up to date', async (t) => {
+  const filePath = path.join(tmpDir(t), 'db.json');
+  fs.writeFileSync(filePath, JSON.stringify({
+    sequences: { tgspdcl_automation_data: 2 },
+    tgspdcl_automation_data: [
+      { id: 1, service_no: '1213 1', unique_service_no: 'Not Found', ero: 'Not Found', fetch_status: 'Success' },
+      { id: 2, service_no: '1213 2', fetch_status: 'Failed' }
+    ]
+  }));
+  const storage = createJsonStorage({ filePath, logger });
+  assert.match(await schemaError(storage), /out of date \(pending: 001_baseline, 002_null_placeholders, 003_legacy_statuses\)/);
+
+  const migrator = createMigrator({ target: createJsonTarget({ storage }), logger });
+  assert.strictEqual((await migrator.status())[0].applied_at, null);
+  assert.deepStrictEqual(await migrator.up(), ['001_baseline', '002_null_placeholders', '003_legacy_statuses']);
+  assert.deepStrictEqual(await migrator.up(), []);
+  assert.ok((await migrator.status())[0].applied_at);
+
+  // Read back from the file
+  const reopened = createJsonStorage({ filePath, logger });
+  assert.strictEqual(await schemaError(reopened), null);
+  const [row, failed] = await reopened.rows('tgspdcl_automation_data');
+  assert.strictEqual(row.fetch_status, 'success');
+  assert.strictEqual(failed.fetch_status, 'not_found');
+  assert.strictEqual(row.unique_service_no, null);
+  assert.strictEqual(row.ero, null);
+});
+
+test('a new local database starts with the current schema', async (t) => {
+  assert.strictEqual(await schemaError(createJsonStorage({ filePath: null, logger })), null);
+  assert.strictEqual(await schemaError(createJsonStorage({ filePath: path.join(tmpDir(t), 'new.json'), logger })), null);
+  assert.match(await schemaError({ listMigrations: async () => null }), /Could not read/);
+});
+
+test('on Postgres each migration commits with its tracking row, under a lock', async () => {
+  const migrations = [
+    { version: 1, name: 'baseline', postgres: 'CREATE TABLE a (id INT);' },
+    { version: 2, name: 'broken', postgres: 'ALTER TABLE nope ADD COLUMN b INT;' },
+    { version: 3, name: 'later', postgres: 'ALTER TABLE a ADD COLUMN c INT;' }
+  ];
+  const client = fakeClient((sql) => {
+    if (sql.includes('to_regclass')) return { rows: [{ tracked: false }] };
+    if (sql.startsWith('ALTER TABLE nope')) throw new Error('relation "nope" does not exist');
+    return { rows: [] };
+  });
+  const target = createPostgresTarget({ client });
+  const migrator = createMigrator({ target, migrations, logger });
+
+  await assert.rejects(migrator.up(), /Migration 002_broken failed: relation "nope" does not exist/);
+  const statements = client.queries.map((q) => (Array.isArray(q) ? q[0] : q.split('\n')[0]));
+  assert.deepStrictEqual(statements, [
+    'SELECT pg_advisory_lock($1)',
+    'CREATE TABLE IF NOT EXISTS public.schema_migrations (',
+    "SELECT to_regclass('public.schema_migrations') IS NOT NULL AS tracked",
+    'BEGIN', 'CREATE TABLE a (id INT);', 'INSERT INTO public.schema_migrations (version, name) VALUES ($1, $2)', 'COMMIT',
+    'BEGIN', 'ALTER TABLE nope ADD COLUMN b INT;', 'ROLLBACK',
+    'SELECT pg_advisory_unlock($1)'
+  ]);
+  assert.deepStrictEqual(client.queries[5][1], [1, 'baseline']);
+});
+
+test('on Postgres only the migrations not yet recorded are applied', async () => {
+  const client = fakeClient((sql) => {
+    if (sql.includes('to_regclass')) return { rows: [{ tracked: true }] };
+    if (sql.startsWith('SELECT version')) return { rows: [{ version: 1, name: 'baseline', applied_at: new Date('2024-01-15T10:00:00Z') }] };
+    return { rows: [] };
+  });
+  const migrations = [
+    { version: 1, name: 'baseline', postgres: 'CREATE TABLE a (id INT);' },
+    { version: 2, name: 'add_notes', postgres: 'ALTER TABLE a ADD COLUMN notes TEXT;' }
+  ];
+  const migrator = createMigrator({ target: createPostgresTarget({ client }), migrations, logger });
+
+  assert.deepStrictEqual((await migrator.status()).map((m) => Boolean(m.applied_at)), [true, false]);
+  assert.deepStrictEqual(await migrator.up(), ['002_add_notes']);
+  assert.ok(!client.queries.includes('CREATE TABLE a (id INT);'));
+  assert.ok(client.queries.includes('ALTER TABLE a ADD COLUMN notes TEXT;'));
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { OUTCOMES, ScrapeError, classifyError, isFound, isFailure } = require('../src/outcomes');
+
+function named(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+test('classifyError maps Puppeteer errors onto outcome codes', () => {
+  assert.strictEqual(classifyError(named('TimeoutError', 'Navigation timeout of 30000 ms exceeded')), OUTCOMES.TIMEOUT);
+  assert.strictEqual(classifyError(new Error('waiting for selector `table` failed: timeout 10000ms exceeded')), OUTCOMES.TIMEOUT);
+  assert.strictEqual(classifyError(new Error('Protocol error (Page.navigate): Target closed.')), OUTCOMES.BROWSER_CRASHED);
+  assert.strictEqual(classifyError(new Error('Navigation failed because browser has disconnected!')), OUTCOMES.BROWSER_CRASHED);
+  assert.strictEqual(classifyError(new Error('No node found for selector: button[type="submit"]')), OUTCOMES.LAYOUT_CHANGED);
+  assert.strictEqual(classifyError(new Error('net::ERR_CONNECTION_RESET at https://tgsouthernpower.org/getUkscno')), OUTCOMES.NAVIGATION_ERROR);
+  assert.strictEqual(classifyError(undefined), OUTCOMES.NAVIGATION_ERROR);
+});
+
+test('classifyError keeps the outcome of a ScrapeError', () => {
+  assert.strictEqual(classifyError(new ScrapeError(OUTCOMES.LAYOUT_CHANGED, 'timeout waiting for #ukscno')), OUTCOMES.LAYOUT_CHANGED);
+});
+
+test('isFound accepts consumers with or without a bill', () => {
+  assert.strictEqual(isFound(OUTCOMES.SUCCESS), true);
+  assert.strictEqual(isFound(OUTCOMES.BILL_UNAVAILABLE), true);
+  assert.strictEqual(isFound(OUTCOMES.NOT_FOUND), false);
+  assert.strictEqual(isFound(OUTCOMES.TIMEOUT), false);
+});
+
+test('isFailure counts errors but not clean answers', () => {
+  assert.strictEqual(isFailure(OUTCOMES.NOT_FOUND), false);
+  assert.strictEqual(isFailure(OUTCOMES.SUCCESS), false);
+  assert.strictEqual(isFailure(OUTCOMES.BILL_UNAVAILABLE), false);
+  assert.strictEqual(isFailure(OUTCOMES.SUPPRESSED), false);
+  assert.strictEqual(isFailure(OUTCOMES.TIMEOUT), true);
+  assert.strictEqual(isFailure(OUTCOMES.LAYOUT_CHANGED), true);
+  assert.strictEqual(isFailure(OUTCOMES.BROWSER_CRASHED), true);
+});
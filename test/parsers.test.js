@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const {
+  parseAmountText, parseAmountValue, parseDateText, validateServiceRecord, parseServiceDetails, parseBill, emptyBill
+} = require('../src/parsers');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'portal', name), 'utf8');
+const table = (rows) => `<html><body><table>${rows.map((cells) => `<tr>${cells.map((c) => `<td>${c}</td>`).join('')}</tr>`).join('')}</table></body></html>`;
+const query = { circleCode: '1213', serviceNumber: '001' };
+
+test('parseAmountText keeps the currency prefix', () => {
+  assert.strictEqual(parseAmountText(' ₹1,234.00 '), '₹1,234.00');
+  assert.strictEqual(parseAmountText('Rs. 56'), 'Rs. 56');
+  assert.strictEqual(parseAmountText('rs 78.5'), 'rs 78.5');
+  assert.strictEqual(parseAmountText('987'), '987');
+  assert.strictEqual(parseAmountText('Current Month Bill'), null);
+  assert.strictEqual(parseAmountText(''), null);
+});
+
+test('parseServiceDetails reads the recorded results page', () => {
+  const html = fixture('getUkscno-result.html').replace('{{ROWS}}',
+    '<tr><td> 1213 001 </td><td>110011001</td><td>K RAMESH</td><td>H.NO 1-2-3</td><td>ERO SECUNDERABAD</td><td>9876543221</td></tr>');
+  assert.deepStrictEqual(parseServiceDetails(html, query), {
+    serviceNo: '1213 001', uniqueServiceNo: '110011001', customerName: 'K RAMESH',
+    address: 'H.NO 1-2-3', ero: 'ERO SECUNDERABAD', mobile: '9876543221', status: 'success'
+  });
+});
+
+test('parseServiceDetails fails on a header-only table', () => {
+  const html = fixture('getUkscno-result.html').replace('{{ROWS}}', '');
+  assert.deepStrictEqual(parseServiceDetails(html, query), { serviceNo: '1213 001', status: 'not_found' });
+});
+
+test('parseServiceDetails skips rows with fewer than six cells and stores empty cells as null', () => {
+  const html = table([['Notice'], ['a', 'b', 'c'], ['1213  001', '110011001', 'NAME', ' ', 'ERO', '']]);
+  assert.deepStrictEqual(parseServiceDetails(html, query), {
+    serviceNo: '1213 001', uniqueServiceNo: '110011001', customerName: 'NAME',
+    address: null, ero: 'ERO', mobile: null, status: 'success'
+  });
+});
+
+test('parseServiceDetails picks the row for the requested service number', () => {
+  const html = table([
+    ['Service No', 'Unique Service No', 'Name', 'Address', 'ERO', 'Mobile'],
+    ['1213 001', '110011001', 'NAME', 'ADDR', 'ERO', '+91 98765 43221']
+  ]);
+  const details = parseServiceDetails(html, query);
+  assert.strictEqual(details.status, 'success');
+  assert.strictEqual(details.uniqueServiceNo, '110011001');
+  assert.strictEqual(details.mobile, '9876543221');
+});
+
+test('parseServiceDetails rejects records that fail validation as layout_changed', () => {
+  const reject = (cells) => parseServiceDetails(table([cells]), query);
+  assert.deepStrictEqual(reject(['1213 002', '110011002', 'NAME', 'ADDR', 'ERO', '9876543221']), {
+    serviceNo: '1213 001', status: 'layout_changed', problems: ['service number is not the one requested']
+  });
+  assert.deepStrictEqual(reject(['', '110011001', 'NAME', 'ADDR', 'ERO', '9876543221']).problems, ['service number is missing']);
+  // Whatever sits in the first cell is not quoted, since the problems are logged
+  assert.deepStrictEqual(reject(['RAVI KUMAR', '110011001', 'NAME', 'ADDR', 'ERO', '9876543221']).problems, [
+    'service number is not the one requested'
+  ]);
+  assert.deepStrictEqual(reject(['1213 001', '', 'NAME', 'ADDR', 'ERO', '9876543221']).problems, ['unique service number is missing']);
+  // Shifted columns: the name where the unique number belongs, the ERO where the mobile belongs
+  assert.deepStrictEqual(reject(['1213 001', 'NAME', 'ADDR', 'ERO', '9876543221', 'ERO SECUNDERABAD']).problems, [
+    'unique service number is not 5-12 digits', 'mobile is not a 10 digit mobile number'
+  ]);
+  assert.deepStrictEqual(reject(['1213 001', '110011001', 'NAME', 'ADDR', 'ERO', '12345']).problems, ['mobile is not a 10 digit mobile number']);
+});
+
+test('validateServiceRecord accepts the usual ways of writing a mobile number', () => {
+  for (const mobile of ['9876543221', '+919876543221', '09876543221', '98765-43221']) {
+    const { record } = validateServiceRecord(['1213 001', '110011001', 'NAME', 'ADDR', 'ERO', mobile], query);
+    assert.strictEqual(record.mobile, '9876543221', mobile);
+  }
+  assert.ok(validateServiceRecord(['1213 001', '110011001', 'NAME', 'ADDR', 'ERO', '5876543221'], query).problems.length);
+});
+
+test('parseServiceDetails treats a "no records" message as not found', () => {
+  const html = '<html><body><div class="alert">No Records Found for the given Service Number</div></body></html>';
+  assert.strictEqual(parseServiceDetails(html, query).status, 'not_found');
+});
+
+test('parseServiceDetails reports unexpected pages as layout_changed', () => {
+  assert.strictEqual(parseServiceDetails('', query).status, 'layout_changed');
+  assert.strictEqual(parseServiceDetails('<html><body><p>Server busy</p></body></html>', query).status, 'layout_changed');
+});
+
+test('parseAmountValue turns amount text into a number', () => {
+  assert.deepStrictEqual(parseAmountValue('₹1,234.00'), { amount: 1234, currency: 'INR' });
+  assert.deepStrictEqual(parseAmountValue('Rs. 56'), { amount: 56, currency: 'INR' });
+  assert.deepStrictEqual(parseAmountValue('₹ 1,00,250.5'), { amount: 100250.5, currency: 'INR' });
+  assert.deepStrictEqual(parseAmountValue('12.'), { amount: 12, currency: 'INR' });
+  assert.deepStrictEqual(parseAmountValue('Not Found'), { amount: null, currency: null });
+});
+
+test('parseDateText normalises the portal date formats', () => {
+  assert.strictEqual(parseDateText('05-01-2024'), '2024-01-05');
+  assert.strictEqual(parseDateText('5/1/2024'), '2024-01-05');
+  assert.strictEqual(parseDateText('19-JAN-2024'), '2024-01-19');
+  assert.strictEqual(parseDateText('19 January, 2024'), '2024-01-19');
+  assert.strictEqual(parseDateText('2024-01-19'), '2024-01-19');
+  assert.strictEqual(parseDateText('31-02-2024'), null);
+  assert.strictEqual(parseDateText('N/A'), null);
+});
+
+test('parseBill prefers the current month bill', () => {
+  const html = table([['Total Amount Payable', '₹1,500.00'], ['Current Month Bill', '₹1,234.00']]);
+  assert.deepStrictEqual(parseBill(html), {
+    amount: 1234, currency: 'INR', source: 'current_month_bill', rawAmount: '₹1,234.00', billDate: null, dueDate: null
+  });
+});
+
+test('parseBill reads bill and due dates', () => {
+  const html = table([['Bill Date', '05-01-2024'], ['Due Date :', '19-JAN-2024'], ['Current Month Bill', 'Rs. 410']]);
+  const bill = parseBill(html);
+  assert.strictEqual(bill.billDate, '2024-01-05');
+  assert.strictEqual(bill.dueDate, '2024-01-19');
+  assert.strictEqual(bill.amount, 410);
+});
+
+test('parseBill matches label variants', () => {
+  assert.strictEqual(parseBill(table([['CURRENT MONTH BILL :', 'Rs. 410']])).rawAmount, 'Rs. 410');
+  assert.strictEqual(parseBill(table([['Current\n   Month  Bill', '₹ 75']])).rawAmount, '₹ 75');
+  assert.strictEqual(parseBill(table([['CurrentMonthBill', '12.50']])).amount, 12.5);
+  assert.strictEqual(parseBill(table([['Total amount payable', 'Rs.99']])).source, 'total_amount_payable');
+});
+
+test('parseBill reads the value from the next two rows', () => {
+  const html = table([['Current Month Bill'], ['Amount'], ['₹ 640.00']]);
+  assert.strictEqual(parseBill(html).amount, 640);
+  const tooFar = table([['Current Month Bill'], ['-'], ['-'], ['640.00']]);
+  assert.strictEqual(parseBill(tooFar).amount, null);
+});
+
+test('parseBill falls back to total amount payable', () => {
+  const html = table([['Current Month Bill', '-'], ['Arrears', 'NIL'], ['Adjustments', 'NIL'], ['Total Amount Payable', 'Rs. 56']]);
+  const bill = parseBill(html);
+  assert.strictEqual(bill.source, 'total_amount_payable');
+  assert.strictEqual(bill.rawAmount, 'Rs. 56');
+  assert.strictEqual(bill.amount, 56);
+});
+
+test('parseBill marks amounts taken from anywhere on the page', () => {
+  const html = '<html><body><script>var x = "₹ 1";</script><table><tr><td>Name</td></tr></table><p>Please pay ₹ 789.50 now</p></body></html>';
+  const bill = parseBill(html);
+  assert.strictEqual(bill.source, 'page_fallback');
+  assert.strictEqual(bill.rawAmount, '₹ 789.50');
+  assert.strictEqual(bill.amount, 789.5);
+});
+
+test('parseBill returns an empty bill when there is no amount', () => {
+  assert.deepStrictEqual(parseBill(table([['No bill details found']])), emptyBill());
+  assert.deepStrictEqual(parseBill(''), emptyBill());
+});
+
+test('parsers accept an already loaded document', () => {
+  const $ = cheerio.load(table([['Current Month Bill', '₹ 10']]));
+  assert.strictEqual(parseBill($).amount, 10);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createJsonStorage } = require('../src/storage');
+const { createPiiCipher, maskValue, maskRow, redact, reencryptResults } = require('../src/pii');
+
+const logger = { info() {}, warn() {}, error() {} };
+
+const key = (id, fill) => `${id}:${Buffer.alloc(32, fill).toString('base64')}`;
+
+const lookup = (serviceNo, uniqueServiceNo) => ({
+  serviceNo, uniqueServiceNo, customerName: 'Ravi Kumar', address: '1-2-3, Ameerpet', mobile: '9876543221',
+  status: 'success', bill: {}, processedAt: '2024-01-01T00:00:00.000Z'
+});
+
+test('createPiiCipher round-trips values and refuses bad keys', () => {
+  const cipher = createPiiCipher([key('k1', 1)]);
+  const encrypted = cipher.encrypt('9876543221');
+  assert.match(encrypted, /^enc:v1:k1:/);
+  assert.notStrictEqual(cipher.encrypt('9876543221'), encrypted);
+  assert.strictEqual(cipher.decrypt(encrypted), '9876543221');
+  assert.strictEqual(cipher.encrypt(null), null);
+  assert.strictEqual(cipher.decrypt('plain text'), 'plain text');
+
+  assert.throws(() => createPiiCipher([]), /PII_ENCRYPTION_KEYS is not set/);
+  assert.throws(() => createPiiCipher(['k1:c2hvcnQ=']), /32 byte key/);
+  assert.throws(() => createPiiCipher([key('k1', 1), key('k1', 2)]), /duplicate/);
+  // Tampered ciphertext fails authentication
+  assert.throws(() => cipher.decrypt(encrypted.slice(0, -2) + (encrypted.endsWith('AA') ? 'BB' : 'AA')));
+});
+
+test('old keys still decrypt after rotation', () => {
+  const before = createPiiCipher([key('k1', 1)]);
+  const after = createPiiCipher([key('k2', 2), key('k1', 1)]);
+  const old = before.encrypt('Ravi Kumar');
+  assert.strictEqual(after.decrypt(old), 'Ravi Kumar');
+  assert.strictEqual(after.needsReencrypt(old), true);
+  assert.strictEqual(after.needsReencrypt(after.encrypt('Ravi Kumar')), false);
+  assert.throws(() => createPiiCipher([key('k2', 2)]).decrypt(old), /unknown key "k1"/);
+});
+
+test('storage encrypts customer details and decrypts them on read', async () => {
+  const pii = createPiiCipher([key('k1', 1)]);
+  const storage = createJsonStorage({ filePath: null, logger, pii });
+  await storage.saveResult(lookup('1213 001', '110011001'));
+
+  const [raw] = await storage.rows('tgspdcl_automation_data');
+  for (const field of ['customer_name', 'address', 'mobile']) assert.match(raw[field], /^enc:v1:k1:/);
+  assert.strictEqual(raw.unique_service_no, '110011001');
+
+  const [row] = await storage.findResults({ unique_service_no: '110011001' });
+  assert.strictEqual(row.customer_name, 'Ravi Kumar');
+  assert.strictEqual(row.mobile, '9876543221');
+  assert.strictEqual((await storage.findResults({ service_no: '1213 001' })).length, 1);
+});
+
+test('reencryptResults moves plaintext and old-key rows to the current key', async () => {
+  const oldKey = createPiiCipher([key('k1', 1)]);
+  const storage = createJsonStorage({ filePath: null, logger, pii: oldKey });
+  await storage.saveResult(lookup('1213 001', '110011001'));
+  await storage.saveResult(lookup('1213 002', '110011002'));
+  // The second row was saved before encryption was enabled
+  await storage.updateResultRow(2, { customer_name: 'Sita Devi', mobile: '9123456789', address: null });
+
+  const rotated = createPiiCipher([key('k2', 2), key('k1', 1)]);
+  assert.deepStrictEqual(await reencryptResults({ storage, cipher: rotated, logger, batchSize: 1 }), { updated: 2, failed: 0 });
+  const rows = await storage.rows('tgspdcl_automation_data');
+  assert.ok(rows.every((row) => row.mobile.startsWith('enc:v1:k2:')));
+  assert.strictEqual(rows[1].address, null);
+  assert.strictEqual(rotated.decrypt(rows[1].customer_name), 'Sita Devi');
+  assert.deepStrictEqual(await reencryptResults({ storage, cipher: rotated, logger }), { updated: 0, failed: 0 });
+});
+
+test('reencryptResults clears the placeholders older versions stored', async () => {
+  const cipher = createPiiCipher([key('k1', 1)]);
+  const storage = createJsonStorage({ filePath: null, logger, pii: cipher });
+  await storage.saveResult({ ...lookup('1213 001', '110011001'), address: 'Not Found', mobile: 'Not Found' });
+
+  assert.deepStrictEqual(await reencryptResults({ storage, cipher, logger }), { updated: 1, failed: 0 });
+  const [row] = await storage.rows('tgspdcl_automation_data');
+  assert.strictEqual(row.address, null);
+  assert.strictEqual(row.mobile, null);
+  assert.strictEqual(cipher.decrypt(row.customer_name), 'Ravi Kumar');
+});
+
+test('maskValue keeps only the ends of a value', () => {
+  assert.strictEqual(maskValue('9876543221'), '98******21');
+  assert.strictEqual(maskValue('Ravi Kumar'), 'Ra******ar');
+  assert.strictEqual(maskValue('Ravi'), '****');
+  assert.strictEqual(maskValue(null), null);
+  assert.deepStrictEqual(maskRow({ service_no: '1213 001', mobile: '9876543221' }), { service_no: '1213 001', mobile: '98******21' });
+});
+
+test('redact masks PII in log metadata and mobile numbers in messages', () => {
+  assert.deepStrictEqual(redact({
+    message: 'Saved 1213 001 (mobile 9876543221)', uniqueServiceNo: '110011001', count: 12,
+    result: { customerName: 'Ravi Kumar', status: 'success' }
+  }), {
+    message: 'Saved 1213 001 (mobile 98******21)', uniqueServiceNo: '11*****01', count: 12,
+    result: { customerName: 'Ra******ar', status: 'success' }
+  });
+});
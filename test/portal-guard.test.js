@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPortalGuard } = require('../src/portal-guard');
+
+const logger = { info() {}, warn() {}, error() {} };
+
+// A guard on a manual clock; sleeping moves the clock forward
+function guardAt(options = {}) {
+  const clock = { now: 0, slept: [] };
+  const guard = createPortalGuard({
+    logger, now: () => clock.now,
+    sleep: async (ms) => { clock.slept.push(ms); clock.now += ms; },
+    ...options
+  });
+  return { guard, clock };
+}
+
+test('acquire spaces requests evenly across the minute', async () => {
+  const { guard, clock } = guardAt({ requestsPerMinute: 30 });
+  await guard.acquire();
+  await guard.acquire();
+  await guard.acquire();
+  assert.deepStrictEqual(clock.slept, [2000, 2000]);
+  assert.strictEqual(guard.health().requests, 3);
+  assert.strictEqual(guard.health().throttledMs, 4000);
+
+  // Time spent elsewhere counts towards the next slot
+  clock.now += 5000;
+  await guard.acquire();
+  assert.strictEqual(clock.slept.length, 2);
+
+  const unlimited = guardAt({ requestsPerMinute: 0 });
+  await unlimited.guard.acquire();
+  await unlimited.guard.acquire();
+  assert.deepStrictEqual(unlimited.clock.slept, []);
+});
+
+test('the breaker opens after a run of timeouts or server errors and backs off', () => {
+  const { guard, clock } = guardAt({ breakerThreshold: 3, breakerBaseMs: 1000, breakerMaxMs: 3000 });
+  guard.startLookup().finish('timeout');
+  guard.startLookup().finish('bill_unavailable', 'timeout');
+  // A clean answer resets the run
+  guard.startLookup().finish('not_found');
+  assert.strictEqual(guard.health().consecutiveFailures, 0);
+
+  guard.startLookup().finish('timeout');
+  const lookup = guard.startLookup();
+  guard.recordResponse(503);
+  lookup.finish('layout_changed');
+  // A browser crash neither counts nor resets
+  guard.startLookup().finish('browser_crashed');
+  const limited = guard.startLookup();
+  guard.recordResponse(429);
+  limited.finish('not_found');
+  assert.strictEqual(guard.health().breaker, 'open');
+  assert.strictEqual(guard.health().lastFailure, 'server error');
+  assert.strictEqual(guard.openFor(), 1000);
+
+  // After the open period one trial goes through; failing it doubles the wait
+  clock.now += 1000;
+  assert.strictEqual(guard.openFor(), 0);
+  assert.strictEqual(guard.health().breaker, 'half_open');
+  guard.startLookup().finish('timeout');
+  assert.strictEqual(guard.openFor(), 2000);
+  clock.now += 2000;
+  guard.openFor();
+  guard.startLookup().finish('timeout');
+  assert.strictEqual(guard.openFor(), 3000);
+
+  clock.now += 3000;
+  guard.openFor();
+  guard.startLookup().finish('success', 'success');
+  assert.strictEqual(guard.health().breaker, 'closed');
+  assert.strictEqual(guard.health().opens, 0);
+  assert.strictEqual(guard.health().serverErrors, 2);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createJsonStorage } = require('../src/storage');
+const { createAuth, hashApiKey } = require('../src/auth');
+const { createPiiCipher } = require('../src/pii');
+const { createResultsRouter } = require('../src/routes/results');
+const { createRetention } = require('../src/retention');
+const { loadConfig } = require('../src/config');
+
+const logger = { info() {}, warn() {}, error() {} };
+
+test('results are masked unless the caller is an admin', async (t) => {
+  const storage = createJsonStorage({ filePath: null, logger, pii: createPiiCipher([`k1:${Buffer.alloc(32, 1).toString('base64')}`]) });
+  await storage.saveResult({
+    serviceNo: '1213 001', uniqueServiceNo: '110011001', customerName: 'Ravi Kumar', address: '1-2-3, Ameerpet',
+    mobile: '9876543221', status: 'success', bill: {}
+  });
+  const auth = createAuth({ keys: [`dash:viewer:${hashApiKey('viewer-key')}`, `ops:operator:${hashApiKey('operator-key')}`, `root:admin:${hashApiKey('admin-key')}`], logger });
+  const app = express();
+  const retention = createRetention({ config: loadConfig({}), storage, logger });
+  app.use(express.json());
+  app.use('/results', auth.requireRoleByMethod({ read: 'viewer', write: 'operator' }), createResultsRouter({ storage, auth, retention, logger }));
+  const server = await new Promise((resolve) => { const s = app.listen(0, () => resolve(s)); });
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  const call = async (method, query, key, body) => {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/results${query}`, {
+      method, headers: { 'x-api-key': key, 'content-type': 'application/json' }, body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+  const get = (query, key) => call('GET', query, key);
+
+  const masked = await get('?unique_service_no=110011001', 'operator-key');
+  assert.strictEqual(masked.body.masked, true);
+  assert.strictEqual(masked.body.results[0].mobile, '98******21');
+  assert.strictEqual(masked.body.results[0].customer_name, 'Ra******ar');
+  assert.strictEqual(masked.body.results[0].service_no, '1213 001');
+
+  const clear = await get('?service_no=1213%20001', 'admin-key');
+  assert.strictEqual(clear.body.masked, false);
+  assert.strictEqual(clear.body.results[0].mobile, '9876543221');
+  assert.strictEqual((await get('', 'admin-key')).status, 400);
+
+  // Erasure is an operator action and is audited under the key's name
+  assert.strictEqual((await call('DELETE', '?service_no=1213%20001', 'viewer-key')).status, 403);
+  const erased = await call('DELETE', '?service_no=1213%20001', 'operator-key', { reason: 'consumer request' });
+  assert.deepStrictEqual(erased.body.deleted, { results: 1, bill_history: 0 });
+  assert.strictEqual((await get('?service_no=1213%20001', 'admin-key')).body.count, 0);
+  const [entry] = await storage.rows('purge_audit');
+  assert.strictEqual(entry.actor, 'ops');
+  assert.strictEqual(entry.details.reason, 'consumer request');
+});
+
+test('results errors are answered like the other APIs', async (t) => {
+  const errors = [];
+  const storage = { findResults: async () => null };
+  const retention = { eraseServiceNumber: async () => { throw new Error('connection refused'); } };
+  const app = express();
+  app.use('/results', createResultsRouter({ storage, auth: null, retention, logger: { ...logger, error: (message) => errors.push(message) } }));
+  const server = await new Promise((resolve) => { const s = app.listen(0, () => resolve(s)); });
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  const call = async (method, query) => {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/results${query}`, { method });
+    return { status: res.status, body: await res.json() };
+  };
+
+  assert.deepStrictEqual(await call('GET', ''), { status: 400, body: { error: 'Pass service_no or unique_service_no' } });
+  assert.deepStrictEqual(await call('GET', '?service_no=1213%20001'), { status: 503, body: { error: 'Could not read results' } });
+  assert.deepStrictEqual(await call('DELETE', '?service_no=1213%20001'), { status: 503, body: { error: 'Could not erase results' } });
+  assert.deepStrictEqual(errors, ['Erasure failed: connection refused']);
+});
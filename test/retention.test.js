@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../src/config');
+const { createJsonStorage } = require('../src/storage');
+const { createRetention } = require('../src/retention');
+
+const logger = { info() {}, warn() {}, error() {} };
+
+const NOW = new Date('2024-06-30T00:00:00.000Z');
+const daysAgo = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const lookup = (n, processedAt) => ({
+  serviceNo: `1213 00${n}`, uniqueServiceNo: `11001100${n}`, customerName: 'Ravi Kumar', address: '1-2-3, Ameerpet',
+  ero: 'Ameerpet', mobile: '9876543221', status: 'success', processedAt,
+  bill: { amount: 100 * n, currency: 'INR', source: 'current_month_bill', rawAmount: `₹${100 * n}`, billDate: null, dueDate: null }
+});
+
+// Results last looked up 10, 60 and 400 days ago
+async function seededStorage() {
+  const storage = createJsonStorage({ filePath: null, logger });
+  for (const [n, age] of [[1, 10], [2, 60], [3, 400]]) {
+    await storage.saveResult(lookup(n, daysAgo(age)));
+    await storage.updateResultRow(n, { updated_at: daysAgo(age) });
+  }
+  return storage;
+}
+
+test('purgeExpired clears each field group after its retention period', async () => {
+  const storage = await seededStorage();
+  const config = loadConfig({ RETENTION_CONTACT_DAYS: '30', RETENTION_BILL_DAYS: '365', LOG_RETENTION_DAYS: '0' });
+  const retention = createRetention({ config, storage, logger, now: () => NOW });
+
+  // RETENTION_RECORD_DAYS and LOG_RETENTION_DAYS are 0, so whole rows and logs are kept
+  assert.deepStrictEqual(await retention.purgeExpired(), { contact: 2, bill: 1, bill_history: 1 });
+  const rows = await storage.rows('tgspdcl_automation_data');
+  assert.deepStrictEqual(rows.map((r) => r.mobile), ['9876543221', null, null]);
+  assert.deepStrictEqual(rows.map((r) => r.bill_amount), [100, 200, null]);
+  // Rows and the fields outside the groups stay
+  assert.deepStrictEqual(rows.map((r) => r.ero), ['Ameerpet', 'Ameerpet', 'Ameerpet']);
+  assert.deepStrictEqual((await storage.rows('bill_history')).map((r) => r.bill_amount), [100, 200]);
+
+  const audit = await storage.rows('purge_audit');
+  assert.deepStrictEqual(audit.map((a) => [a.action, a.field_group, a.rows_affected]),
+    [['retention_purge', 'contact', 2], ['retention_purge', 'bill', 1], ['retention_purge', 'bill_history', 1]]);
+  assert.strictEqual(audit[0].actor, 'retention-job');
+  assert.deepStrictEqual(audit[0].details.fields, ['customer_name', 'address', 'mobile']);
+
+  // A second pass has nothing left to do and records nothing
+  assert.deepStrictEqual(await retention.purgeExpired(), { contact: 0, bill: 0, bill_history: 0 });
+  assert.strictEqual((await storage.rows('purge_audit')).length, 3);
+});
+
+test('purgeExpired deletes whole records and old log files when configured', async (t) => {
+  const storage = await seededStorage();
+  const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tgspdcl-logs-'));
+  t.after(() => fs.rmSync(logDir, { recursive: true, force: true }));
+  const daily = ['combined-2024-05-30.log', 'error-2024-05-30.log.1', 'combined-2024-05-31.log', 'error-2024-06-29.log'];
+  for (const name of [...daily, 'combined.log', 'combined1.log', 'error1.log', 'notes.log']) {
+    fs.writeFileSync(path.join(logDir, name), '{}\n');
+  }
+  // Files from before daily logs go by when they were last written; daily files by their day
+  const old = new Date(daysAgo(45));
+  for (const name of ['combined.log', 'error1.log', 'notes.log']) fs.utimesSync(path.join(logDir, name), old, old);
+
+  const config = loadConfig({ RETENTION_CONTACT_DAYS: '0', RETENTION_BILL_DAYS: '0', RETENTION_RECORD_DAYS: '90', LOG_RETENTION_DAYS: '30' });
+  const retention = createRetention({ config, storage, logger, logDir, now: () => NOW });
+
+  assert.deepStrictEqual(await retention.purgeExpired(), { record: 1, logs: 4 });
+  assert.deepStrictEqual((await storage.rows('tgspdcl_automation_data')).map((r) => r.service_no), ['1213 001', '1213 002']);
+  // 2024-05-30 began more than 30 days before 2024-06-30; 2024-05-31 began exactly 30 days before
+  assert.deepStrictEqual(fs.readdirSync(logDir).sort(), ['combined-2024-05-31.log', 'combined1.log', 'error-2024-06-29.log', 'notes.log']);
+});
+
+test('eraseServiceNumber deletes everything for a consumer and audits it', async () => {
+  const storage = await seededStorage();
+  const retention = createRetention({ config: loadConfig({}), storage, logger, now: () => NOW });
+
+  assert.deepStrictEqual(await retention.eraseServiceNumber({ service_no: '1213 002' }, { actor: 'ops', reason: 'consumer request' }),
+    { results: 1, bill_history: 1 });
+  assert.deepStrictEqual((await storage.rows('tgspdcl_automation_data')).map((r) => r.service_no), ['1213 001', '1213 003']);
+  assert.deepStrictEqual((await storage.rows('bill_history')).map((r) => r.unique_service_no), ['110011001', '110011003']);
+  assert.deepStrictEqual(await retention.eraseServiceNumber({ unique_service_no: '110011003' }, { actor: 'ops' }), { results: 1, bill_history: 1 });
+
+  const [entry] = await storage.rows('purge_audit');
+  assert.strictEqual(entry.action, 'erasure');
+  assert.strictEqual(entry.service_no, '1213 002');
+  assert.strictEqual(entry.actor, 'ops');
+  assert.strictEqual(entry.rows_affected, 2);
+  assert.strictEqual(entry.details.reason, 'consumer request');
+});
+
+test('layout snapshots are purged by age and erased with the service number', async () => {
+  const storage = await seededStorage();
+  const calls = [];
+  const snapshots = {
+    purgeBefore: async (before) => { calls.push(['purgeBefore', before.toISOString()]); return 3; },
+    eraseServiceNo: async (serviceNo) => { calls.push(['eraseServiceNo', serviceNo]); return 1; }
+  };
+  const config = loadConfig({ RETENTION_CONTACT_DAYS: '0', RETENTION_BILL_DAYS: '0', SNAPSHOT_RETENTION_DAYS: '7', LOG_RETENTION_DAYS: '0' });
+  const retention = createRetention({ config, storage, logger, snapshots, now: () => NOW });
+
+  assert.deepStrictEqual(await retention.purgeExpired(), { snapshots: 3 });
+  assert.deepStrictEqual(await retention.eraseServiceNumber({ service_no: '1213 002' }, { actor: 'ops' }),
+    { results: 1, bill_history: 1, snapshots: 1 });
+  assert.deepStrictEqual(calls, [['purgeBefore', daysAgo(7)], ['eraseServiceNo', '1213 002']]);
+  assert.deepStrictEqual((await storage.rows('purge_audit')).map((entry) => entry.field_group), ['snapshots', 'all']);
+});
+
+test('start rejects an invalid schedule', () => {
+  const retention = createRetention({ config: loadConfig({ PURGE_SCHEDULE: 'every night' }), storage: {}, logger });
+  assert.throws(() => retention.start(), /Invalid PURGE_SCHEDULE/);
+});
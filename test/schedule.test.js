@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { windowError, createRunWindow, createSchedule } = require('../src/schedule');
+
+const at = (iso) => new Date(iso);
+
+test('windowError accepts five field cron expressions only', () => {
+  assert.strictEqual(windowError('* 22-23,0-5 * * *'), null);
+  assert.strictEqual(windowError('* 9-17 * * 1-5'), null);
+  assert.match(windowError('0 * 22-23 * * *'), /five field/);
+  assert.match(windowError('* 25 * * *'), /five field/);
+  assert.match(windowError(''), /five field/);
+  assert.strictEqual(windowError('*/15 9-17/2 1,15 jan-MAR mon-fri'), null);
+  assert.strictEqual(windowError('* * * * Sunday,7'), null);
+  for (const bad of ['* * 0 * *', '* * * 13 *', '* 5-1 * * *', '*/0 * * * *', '* * * * funday', '* * * * 1-', 'x * * * *']) {
+    assert.match(windowError(bad), /five field/, bad);
+  }
+});
+
+test('cron fields read names, ranges, steps and Sunday as 0 or 7', () => {
+  const window = createRunWindow('*/20 9-17/4 * feb-mar sun,SAT', { timezone: 'UTC' });
+  // 2024-02-04 is a Sunday, 2024-02-05 a Monday
+  assert.strictEqual(window.isOpen(at('2024-02-04T13:40:00Z')), true);
+  assert.strictEqual(window.isOpen(at('2024-02-04T13:41:00Z')), false);
+  assert.strictEqual(window.isOpen(at('2024-02-04T14:00:00Z')), false);
+  assert.strictEqual(window.isOpen(at('2024-02-05T13:40:00Z')), false);
+  assert.strictEqual(window.isOpen(at('2024-01-07T13:40:00Z')), false);
+  assert.strictEqual(createRunWindow('* * * * 7', { timezone: 'UTC' }).isOpen(at('2024-02-04T13:40:00Z')), true);
+  // Both day fields must match: the 13th only when it is a Friday
+  const friday13 = createRunWindow('* * 13 * 5', { timezone: 'UTC' });
+  assert.strictEqual(friday13.nextWindow(at('2024-01-10T00:00:00Z')), null);
+  assert.strictEqual(createRunWindow('* * 13 * 6', { timezone: 'UTC' }).nextWindow(at('2024-01-10T00:00:00Z')).start, '2024-01-13T00:00:00.000Z');
+});
+
+test('nextWindow agrees with a minute by minute scan and stays quick for weekly windows', () => {
+  const from = at('2024-03-08T10:17:30Z');
+  for (const expression of ['* 22-23,0-5 * * *', '0-29 9-17 * * 1-5', '*/7 * * * sat', '* 3 * * sun', '45-59 23 * * *']) {
+    for (const timezone of ['UTC', 'Asia/Kolkata', 'America/New_York']) {
+      const window = createRunWindow(expression, { timezone });
+      let start = Math.floor(from.getTime() / 60000) * 60000;
+      while (!window.isOpen(new Date(start))) start += 60000;
+      let end = start;
+      while (window.isOpen(new Date(end))) end += 60000;
+      assert.deepStrictEqual(window.nextWindow(from), {
+        start: new Date(Math.max(start, from.getTime())).toISOString(), end: new Date(end).toISOString()
+      }, `${expression} in ${timezone}`);
+    }
+  }
+
+  const weekly = createRunWindow('* 3 * * sun', { timezone: 'Asia/Kolkata' });
+  const started = process.hrtime.bigint();
+  for (let i = 0; i < 20; i++) weekly.nextWindow(at('2024-03-04T00:00:00Z'));
+  assert.ok(Number(process.hrtime.bigint() - started) / 1e6 / 20 < 20);
+});
+
+test('a run window is open in the minutes its expression matches', () => {
+  const night = createRunWindow('* 22-23,0-5 * * *', { timezone: 'UTC' });
+  assert.strictEqual(night.isOpen(at('2024-01-15T23:59:30Z')), true);
+  assert.strictEqual(night.isOpen(at('2024-01-16T05:59:00Z')), true);
+  assert.strictEqual(night.isOpen(at('2024-01-16T06:00:00Z')), false);
+
+  // The current window runs from now until it closes
+  assert.deepStrictEqual(night.nextWindow(at('2024-01-16T04:30:15Z')), { start: '2024-01-16T04:30:15.000Z', end: '2024-01-16T06:00:00.000Z' });
+  assert.deepStrictEqual(night.nextWindow(at('2024-01-16T12:00:00Z')), { start: '2024-01-16T22:00:00.000Z', end: '2024-01-17T06:00:00.000Z' });
+
+  // Windows are read in the schedule's timezone: 22:00 IST is 16:30 UTC
+  const ist = createRunWindow('* 22-23 * * *', { timezone: 'Asia/Kolkata' });
+  assert.strictEqual(ist.nextWindow(at('2024-01-16T12:00:00Z')).start, '2024-01-16T16:30:00.000Z');
+
+  assert.deepStrictEqual(createRunWindow('* * * * *').nextWindow(at('2024-01-16T12:00:00Z')), { start: '2024-01-16T12:00:00.000Z', end: null });
+  assert.strictEqual(createRunWindow('* * 30 2 *').nextWindow(at('2024-01-16T12:00:00Z')), null);
+  assert.throws(() => createRunWindow('* * * * *', { timezone: 'Mars/Olympus' }), /SCHEDULE_TIMEZONE/);
+});
+
+test('a job window replaces the global one', () => {
+  let now = at('2024-01-16T12:00:00Z');
+  const schedule = createSchedule({ window: '* 22-23,0-5 * * *', timezone: 'UTC', now: () => now });
+  const daytime = { circle_code: '1214', run_window: '* 9-17 * * *' };
+  assert.strictEqual(schedule.isOpen({ circle_code: '1213' }), false);
+  assert.strictEqual(schedule.isOpen(daytime), true);
+  assert.strictEqual(schedule.isOpen({ run_window: 'garbage' }), false);
+
+  const status = schedule.status(daytime);
+  assert.strictEqual(status.timezone, 'UTC');
+  assert.strictEqual(status.window, '* 22-23,0-5 * * *');
+  assert.strictEqual(status.open, false);
+  assert.strictEqual(status.nextWindow.start, '2024-01-16T22:00:00.000Z');
+  assert.deepStrictEqual(status.circle, {
+    circle_code: '1214', window: '* 9-17 * * *', open: true,
+    nextWindow: { start: '2024-01-16T12:00:00.000Z', end: '2024-01-16T18:00:00.000Z' }
+  });
+
+  now = at('2024-01-16T23:00:00Z');
+  assert.strictEqual(schedule.isOpen({ circle_code: '1213' }), true);
+  assert.deepStrictEqual(createSchedule().status(), { timezone: createSchedule().status().timezone, window: null, open: true, nextWindow: null });
+});
@@ -0,0 +1,215 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createScraper } = require('../src/scraper');
+const { emptyBill } = require('../src/parsers');
+const { startPortalServer } = require('./helpers/portal-server');
+const { createPortalGuard } = require('../src/portal-guard');
+const { createSnapshotStore } = require('../src/snapshots');
+const { createMetrics } = require('../src/metrics');
+
+const logger = { info() {}, warn() {}, error() {} };
+
+// Runs the real Puppeteer code against recorded portal pages served locally.
+// Skipped when no Chromium can be launched (set PUPPETEER_EXECUTABLE_PATH to use a system browser).
+describe('scraper against the local portal', () => {
+  let portal, scraper, browser, page;
+
+  before(async () => {
+    portal = await startPortalServer();
+    scraper = createScraper({ baseUrl: portal.url, logger });
+    browser = await scraper.setupBrowser().catch(() => null);
+  });
+
+  after(async () => {
+    if (browser) await browser.close();
+    await portal.close();
+  });
+
+  // Fresh tab per test, as processCircleCode does per service number
+  async function withPage(t, fn) {
+    if (!browser) return t.skip('Chromium is not available');
+    page = await scraper.openPage(browser);
+    try {
+      await fn(page);
+    } finally {
+      await page.close();
+    }
+  }
+
+  test('fetchServiceDetails reads the success table', (t) => withPage(t, async (page) => {
+    const details = await scraper.fetchServiceDetails(page, '1213', '001');
+    assert.deepStrictEqual(details, {
+      serviceNo: '1213 001', uniqueServiceNo: '110011001', customerName: 'K RAMESH',
+      address: 'H.NO 1-2-3, SECUNDERABAD', ero: 'ERO SECUNDERABAD', mobile: '9876543221', status: 'success'
+    });
+  }));
+
+  test('fetchServiceDetails reports a failure when the table has no rows', (t) => withPage(t, async (page) => {
+    const details = await scraper.fetchServiceDetails(page, '1213', '999');
+    assert.deepStrictEqual(details, { serviceNo: '1213 999', status: 'not_found' });
+  }));
+
+  test('fetchServiceDetails reports a missing #ukscno input as layout_changed', (t) => withPage(t, async (page) => {
+    portal.state.lookupForm = false;
+    try {
+      assert.deepStrictEqual(await scraper.fetchServiceDetails(page, '1213', '001'), { serviceNo: '1213 001', status: 'layout_changed' });
+    } finally {
+      portal.state.lookupForm = true;
+    }
+  }));
+
+  test('a missing #ukscno input is saved as a snapshot', (t) => withPage(t, async (page) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+    const snapshotting = createScraper({ baseUrl: portal.url, logger, snapshots: createSnapshotStore({ dir, logger }) });
+    portal.state.lookupForm = false;
+    try {
+      assert.strictEqual((await snapshotting.fetchServiceDetails(page, '1213', '001')).status, 'layout_changed');
+      const names = fs.readdirSync(dir);
+      assert.ok(names.some((name) => name.endsWith('-getUkscno-1213-001.html')));
+      assert.ok(names.some((name) => name.endsWith('-getUkscno-1213-001.png')));
+    } finally {
+      portal.state.lookupForm = true;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }));
+
+  test('fetchBillAmount prefers the current month bill', (t) => withPage(t, async (page) => {
+    portal.state.billForm = 'id';
+    assert.deepStrictEqual(await scraper.fetchBillAmount(page, '110011001'), {
+      amount: 1234, currency: 'INR', source: 'current_month_bill', rawAmount: '₹1,234.00',
+      billDate: '2024-01-05', dueDate: '2024-01-19', status: 'success'
+    });
+  }));
+
+  test('fetchBillAmount falls back to total amount payable', (t) => withPage(t, async (page) => {
+    portal.state.billForm = 'id';
+    const bill = await scraper.fetchBillAmount(page, '110011002');
+    assert.strictEqual(bill.source, 'total_amount_payable');
+    assert.strictEqual(bill.amount, 56);
+  }));
+
+  test('fetchBillAmount finds the input through a fallback selector', (t) => withPage(t, async (page) => {
+    portal.state.billForm = 'name';
+    assert.strictEqual((await scraper.fetchBillAmount(page, '110011001')).rawAmount, '₹1,234.00');
+    assert.ok(portal.state.requests.includes('POST /billinginfo'));
+  }));
+
+  test('fetchBillAmount navigates to billinginfo directly when there is no input', (t) => withPage(t, async (page) => {
+    portal.state.billForm = 'none';
+    const bill = await scraper.fetchBillAmount(page, '110011003');
+    assert.strictEqual(bill.source, 'page_fallback');
+    assert.strictEqual(bill.amount, 789.5);
+    assert.ok(portal.state.requests.includes('GET /billinginfo?ukscno=110011003'));
+  }));
+
+  test('processService combines details and bill amount', (t) => withPage(t, async (page) => {
+    portal.state.billForm = 'id';
+    const result = await scraper.processService(page, '1213', '002');
+    assert.strictEqual(result.status, 'success');
+    assert.strictEqual(result.billStatus, 'success');
+    assert.strictEqual(result.uniqueServiceNo, '110011002');
+    assert.strictEqual(result.bill.amount, 56);
+    assert.ok(!Number.isNaN(Date.parse(result.processedAt)));
+  }));
+
+  test('processService keeps the consumer when the bill cannot be read', (t) => withPage(t, async (page) => {
+    portal.state.billForm = 'id';
+    const result = await scraper.processService(page, '1213', '004');
+    assert.strictEqual(result.status, 'bill_unavailable');
+    assert.strictEqual(result.billStatus, 'bill_unavailable');
+    assert.strictEqual(result.uniqueServiceNo, '110011004');
+    assert.strictEqual(result.bill.amount, null);
+  }));
+
+  test('processService skips the bill lookup for unknown numbers', (t) => withPage(t, async (page) => {
+    const seen = portal.state.requests.length;
+    const result = await scraper.processService(page, '1213', '999');
+    assert.strictEqual(result.status, 'not_found');
+    assert.deepStrictEqual(result.bill, emptyBill());
+    assert.ok(portal.state.requests.slice(seen).every((r) => !r.includes('getBillAmount')));
+  }));
+
+  test('a guarded scraper spends the request budget and reports server errors', (t) => withPage(t, async () => {
+    const guard = createPortalGuard({ requestsPerMinute: 600, breakerThreshold: 1, logger });
+    const guarded = createScraper({ baseUrl: portal.url, logger, guard });
+    const guardedPage = await guarded.openPage(browser);
+    try {
+      const lookup = guard.startLookup();
+      const found = await guarded.processService(guardedPage, '1213', '001');
+      lookup.finish(found.status, found.billStatus);
+      assert.strictEqual(found.status, 'success');
+      assert.strictEqual(guard.health().breaker, 'closed');
+      assert.ok(guard.health().requests >= 4);
+      assert.ok(guard.health().throttledMs > 0);
+
+      portal.state.overloaded = true;
+      const overloaded = guard.startLookup();
+      const result = await guarded.processService(guardedPage, '1213', '001');
+      overloaded.finish(result.status);
+      assert.strictEqual(guard.health().breaker, 'open');
+    } finally {
+      portal.state.overloaded = false;
+      await guardedPage.close();
+    }
+  }));
+
+  test('fetches are timed by step and outcome when metrics are given', (t) => withPage(t, async () => {
+    const metrics = createMetrics();
+    const timed = createScraper({ baseUrl: portal.url, logger, metrics });
+    const timedPage = await timed.openPage(browser);
+    try {
+      await timed.processService(timedPage, '1213', '001');
+      await timed.processService(timedPage, '1213', '999');
+      const text = await metrics.registry.metrics();
+      assert.match(text, /tgspdcl_fetch_duration_seconds_count\{step="service_details",outcome="success"\} 1/);
+      assert.match(text, /tgspdcl_fetch_duration_seconds_count\{step="service_details",outcome="not_found"\} 1/);
+      assert.match(text, /tgspdcl_fetch_duration_seconds_count\{step="bill_amount",outcome="success"\} 1/);
+    } finally {
+      await timedPage.close();
+    }
+  }));
+});
+
+test('the browser is left running on signals, for src/shutdown.js to close', async (t) => {
+  const puppeteer = require('puppeteer');
+  const launch = t.mock.method(puppeteer, 'launch', async () => ({}));
+  await createScraper({ logger }).setupBrowser();
+  const [options] = launch.mock.calls[0].arguments;
+  assert.strictEqual(options.handleSIGTERM, false);
+  assert.strictEqual(options.handleSIGINT, false);
+  assert.strictEqual(options.handleSIGHUP, false);
+});
+
+test('navigations take their request slot before they start, outside their timeout', async () => {
+  // A budget of one request a minute, on a clock that sleeping moves forward
+  let clock = 0;
+  const guard = createPortalGuard({ requestsPerMinute: 1, logger, now: () => clock, sleep: async (ms) => { clock += ms; } });
+  const scraper = createScraper({ baseUrl: 'http://portal', logger, guard });
+
+  // Stand-in page: goto and the form post resolve once their request is let through
+  const sent = [];
+  const handlers = {};
+  const navigate = (url) => new Promise((resolve) => handlers.request({
+    resourceType: () => 'document', url: () => url, isNavigationRequest: () => true,
+    continue: () => { sent.push([url, clock]); resolve(); }, abort: resolve
+  }));
+  const started = [];
+  const page = {
+    setDefaultNavigationTimeout: async () => {}, setViewport: async () => {}, setUserAgent: async () => {},
+    setRequestInterception: async () => {}, on: (event, handler) => { handlers[event] = handler; },
+    goto: (url) => { started.push([url, clock]); return navigate(url); },
+    click: () => { started.push(['submit', clock]); return navigate('http://portal/getUkscno'); },
+    waitForSelector: async () => {}, type: async () => {}, waitForNavigation: async () => null,
+    content: async () => '<table><tr><td>No records found</td></tr></table>'
+  };
+  await scraper.openPage({ newPage: async () => page });
+
+  assert.strictEqual((await scraper.fetchServiceDetails(page, '1213', '001')).status, 'not_found');
+  // Each request went out as soon as it was started, a minute after the one before
+  assert.deepStrictEqual(started, [['http://portal/getUkscno', 0], ['submit', 60000]]);
+  assert.deepStrictEqual(sent, [['http://portal/getUkscno', 0], ['http://portal/getUkscno', 60000]]);
+  assert.strictEqual(guard.health().requests, 2);
+});
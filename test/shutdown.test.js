@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createShutdown } = require('../src/shutdown');
+
+const logger = { info() {}, warn() {}, error() {} };
+
+// Records the order the shutdown steps run in
+function fakeParts({ stop = async () => {} } = {}) {
+  const steps = [];
+  const engine = {
+    stop: async (options) => { steps.push(['engine.stop', options]); await stop(); },
+    browsers: { close: async () => { steps.push(['browsers.close']); } }
+  };
+  const server = { close: (callback) => { steps.push(['server.close']); callback(); } };
+  const exits = [];
+  return { steps, engine, server, exits, exit: (code) => exits.push(code) };
+}
+
+test('shutdown stops the engine, then closes the browser and server', async () => {
+  const { steps, engine, server, exits, exit } = fakeParts();
+  const shutdown = createShutdown({ engine, server, logger, graceMs: 1000, exit });
+
+  await shutdown('SIGTERM');
+  assert.deepStrictEqual(steps, [['engine.stop', { timeoutMs: 750 }], ['browsers.close'], ['server.close']]);
+  assert.deepStrictEqual(exits, [0]);
+});
+
+test('shutdown stops scheduled tasks before the engine', async () => {
+  const { steps, engine, exits, exit } = fakeParts();
+  const shutdown = createShutdown({ engine, tasks: [{ stop: () => steps.push(['purge.stop']) }], logger, graceMs: 1000, exit });
+
+  await shutdown('SIGTERM');
+  assert.deepStrictEqual(steps.map(([step]) => step), ['purge.stop', 'engine.stop', 'browsers.close']);
+  assert.deepStrictEqual(exits, [0]);
+});
+
+test('shutdown exits with 1 once the grace period has passed', async () => {
+  const { engine, server, exits, exit } = fakeParts({ stop: () => new Promise((resolve) => setTimeout(resolve, 50)) });
+  const shutdown = createShutdown({ engine, server, logger, graceMs: 10, exit });
+
+  await shutdown('SIGTERM');
+  assert.strictEqual(exits[0], 1);
+});
+
+test('a second signal exits straight away', async () => {
+  const { engine, exits, exit } = fakeParts({ stop: () => new Promise((resolve) => setTimeout(resolve, 20)) });
+  const shutdown = createShutdown({ engine, logger, graceMs: 1000, exit });
+
+  const first = shutdown('SIGINT');
+  shutdown('SIGINT');
+  assert.deepStrictEqual(exits, [1]);
+  await first;
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, createJsonStorage } = require('../src/storage');
+const { loadConfig } = require('../src/config');
+
+const logger = { info() {}, warn() {}, error() {} };
+
+const lease = { leaseSeconds: 300, maxAttempts: 3 };
+
+test('json storage hands out pending circles in id order', async () => {
+  const storage = createJsonStorage({ filePath: null, logger });
+  await storage.addCircleCode({ circle_code: '1213', digits_in_service_code: 3 });
+  await storage.addCircleCode({ circle_code: '1214', digits_in_service_code: 3 });
+
+  const first = await storage.claimNextTask('worker-a', lease);
+  assert.strictEqual(first.circle_code, '1213');
+  assert.strictEqual(first.status, 'PROCESSING');
+  assert.strictEqual(first.lease_owner, 'worker-a');
+  assert.strictEqual(first.attempts, 1);
+  assert.strictEqual((await storage.claimNextTask('worker-b', lease)).circle_code, '1214');
+  assert.strictEqual(await storage.claimNextTask('worker-c', lease), null);
+  assert.strictEqual(await storage.updateCircleCodeStatus(999, 'COMPLETED'), false);
+});
+
+test('json storage leaves skipped circles for a later claim', async () => {
+  const storage = createJsonStorage({ filePath: null, logger });
+  const { id } = await storage.addCircleCode({ circle_code: '1213', digits_in_service_code: 3 });
+  await storage.addCircleCode({ circle_code: '1214', digits_in_service_code: 3 });
+
+  assert.strictEqual((await storage.claimNextTask('worker-a', { ...lease, skipIds: [id] })).circle_code, '1214');
+  assert.strictEqual(await storage.claimNextTask('worker-a', { ...lease, skipIds: [id] }), null);
+  assert.strictEqual((await storage.claimNextTask('worker-a', lease)).circle_code, '1213');
+});
+
+test('json storage only lets the lease owner renew, checkpoint and release', async () => {
+  const storage = createJsonStorage({ filePath: null, logger });
+  const { id } = await storage.addCircleCode({ circle_code: '1213', digits_in_service_code: 3 });
+  await storage.claimNextTask('worker-a', lease);
+
+  assert.strictEqual(await storage.renewLease(id, 'worker-b', 300), false);
+  assert.strictEqual(await storage.renewLease(id, 'worker-a', 300), true);
+  assert.strictEqual(await storage.saveCheckpoint(id, 'worker-b', 5), false);
+  assert.strictEqual(await storage.saveCheckpoint(id, 'worker-a', 5), 'PROCESSING');
+  assert.strictEqual(await storage.releaseTask(id, 'worker-b', 'COMPLETED'), false);
+  assert.strictEqual(await storage.releaseTask(id, 'worker-a', 'COMPLETED', { remarks: 'done' }), true);
+
+  const [row] = await storage.rows('circle_codes');
+  assert.strictEqual(row.status, 'COMPLETED');
+  assert.strictEqual(row.lease_owner, null);
+  assert.strictEqual(row.remarks, 'done');
+});
+
+test('json storage reclaims expired leases and gives up after max attempts', async () => {
+  const storage = createJsonStorage({ filePath: null, logger });
+  const { id } = await storage.addCircleCode({ circle_code: '1213', digits_in_service_code: 3 });
+  const expired = { leaseSeconds: -1, maxAttempts: 2 };
+
+  assert.strictEqual((await storage.claimNextTask('worker-a', expired)).attempts, 1);
+  // worker-a died without releasing: its lease is already past expiry
+  const retried = await storage.claimNextTask('worker-b', expired);
+  assert.strictEqual(retried.id, id);
+  assert.strictEqual(retried.lease_owner, 'worker-b');
+  assert.strictEqual(retried.attempts, 2);
+
+  assert.strictEqual(await storage.claimNextTask('worker-c', expired), null);
+  const [row] = await storage.rows('circle_codes');
+  assert.strictEqual(row.status, 'FAILED');
+  assert.match(row.remarks, /2 attempts/);
+});
+
+test('json storage persists results to disk', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tgspdcl-'));
+  const filePath = path.join(dir, 'db.json');
+  const storage = createJsonStorage({ filePath, logger });
+
+  await storage.saveResult({
+    serviceNo: '1213 001', uniqueServiceNo: '110011001', customerName: 'A', address: 'B',
+    ero: 'C', mobile: '9800000021', status: 'success', processedAt: '2024-01-01T00:00:00.000Z',
+    bill: { amount: 120, currency: 'INR', source: 'current_month_bill', rawAmount: '₹120', billDate: '2023-12-28', dueDate: null }
+  });
+
+  const reopened = createJsonStorage({ filePath, logger });
+  const rows = await reopened.rows('tgspdcl_automation_data');
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0].service_no, '1213 001');
+  assert.strictEqual(rows[0].bill_amount, 120);
+  assert.strictEqual(rows[0].bill_amount_source, 'current_month_bill');
+  assert.strictEqual(rows[0].bill_date, '2023-12-28');
+  assert.deepStrictEqual(rows[0].search_info, { processed_at: '2024-01-01T00:00:00.000Z', bill_status: null });
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('createStorage picks the backend from config', () => {
+  const key = `k1:${Buffer.alloc(32, 1).toString('base64')}`;
+  const config = loadConfig({ STORAGE_BACKEND: 'json', LOCAL_DB_PATH: ':memory:', PII_ENCRYPTION_KEYS: key });
+  assert.strictEqual(createStorage(config, logger).name, 'json');
+  assert.throws(() => createStorage(loadConfig({ STORAGE_BACKEND: 'mysql' }), logger), /Unknown STORAGE_BACKEND/);
+  // Customer details are never stored unencrypted
+  assert.throws(() => createStorage(loadConfig({ STORAGE_BACKEND: 'json', LOCAL_DB_PATH: ':memory:' }), logger), /PII_ENCRYPTION_KEYS/);
+});
+
+test('json storage upserts results and appends bill history', async () => {
+  const storage = createJsonStorage({ filePath: null, logger });
+  const lookup = (amount, processedAt) => ({
+    serviceNo: '1213 001', uniqueServiceNo: '110011001', customerName: 'A', status: 'success', processedAt,
+    bill: { amount, currency: 'INR', source: 'current_month_bill', rawAmount: `₹${amount}`, billDate: null, dueDate: null }
+  });
+
+  await storage.saveResult(lookup(120, '2024-01-01T00:00:00.000Z'));
+  await storage.saveResult(lookup(150, '2024-02-01T00:00:00.000Z'));
+
+  const rows = await storage.rows('tgspdcl_automation_data');
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0].id, 1);
+  assert.strictEqual(rows[0].bill_amount, 150);
+  const history = await storage.rows('bill_history');
+  assert.deepStrictEqual(history.map((h) => [h.bill_amount, h.observed_at]), [
+    [120, '2024-01-01T00:00:00.000Z'], [150, '2024-02-01T00:00:00.000Z']
+  ]);
+});
+
+test('json storage does not merge consumers without a unique service number', async () => {
+  const storage = createJsonStorage({ filePath: null, logger });
+  await storage.saveResult({ serviceNo: '1213 001', uniqueServiceNo: 'Not Found', status: 'bill_unavailable', bill: {} });
+  await storage.saveResult({ serviceNo: '1213 002', uniqueServiceNo: 'Not Found', status: 'bill_unavailable', bill: {} });
+
+  const rows = await storage.rows('tgspdcl_automation_data');
+  assert.deepStrictEqual(rows.map((r) => [r.service_no, r.unique_service_no]), [['1213 001', null], ['1213 002', null]]);
+  assert.strictEqual((await storage.rows('bill_history')).length, 0);
+});
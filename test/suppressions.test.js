@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createJsonStorage } = require('../src/storage');
+const { createRetention } = require('../src/retention');
+const { loadConfig } = require('../src/config');
+const { SuppressionError, validateSuppression, createSuppressionList } = require('../src/suppressions');
+const { createSuppressionsRouter } = require('../src/routes/suppressions');
+
+const logger = { info() {}, warn() {}, error() {} };
+
+test('validateSuppression needs a well-formed service number or unique service number', () => {
+  assert.deepStrictEqual(validateSuppression({ service_no: ' 1213 001 ' }), { service_no: '1213 1', unique_service_no: null, reason: null });
+  assert.deepStrictEqual(validateSuppression({ unique_service_no: 110011001, reason: 'consumer request' }), {
+    service_no: null, unique_service_no: '110011001', reason: 'consumer request'
+  });
+  assert.throws(() => validateSuppression({}), (error) => error instanceof SuppressionError && error.reason === 'invalid');
+  assert.throws(() => validateSuppression({ service_no: '1213001' }), (error) => error.details[0].includes('service_no'));
+  assert.throws(() => validateSuppression({ unique_service_no: 'abc' }), (error) => error.details[0].includes('digits'));
+});
+
+test('the suppression list fails closed until it has been read once', async () => {
+  let rows = null;
+  const list = createSuppressionList({ storage: { listSuppressions: async () => rows }, logger, refreshMs: 0 });
+  await assert.rejects(list.load(), /suppression list/);
+  assert.strictEqual(list.hasServiceNo('1213 001'), false);
+
+  rows = [{ id: 1, service_no: '1213 001', unique_service_no: '110011001' }];
+  await list.load();
+  assert.strictEqual(list.hasServiceNo('1213 001'), true);
+  assert.strictEqual(list.hasUniqueServiceNo('110011001'), true);
+
+  // A failed refresh keeps the last list
+  rows = null;
+  await list.load();
+  assert.strictEqual(list.hasServiceNo('1213 001'), true);
+});
+
+test('suppressing a consumer erases what is stored for them', async (t) => {
+  const storage = createJsonStorage({ filePath: null, logger });
+  await storage.saveResult({ serviceNo: '1213 001', uniqueServiceNo: '110011001', status: 'success', bill: { amount: 100 } });
+  await storage.saveResult({ serviceNo: '1213 002', uniqueServiceNo: '110011002', status: 'success', bill: {} });
+  const retention = createRetention({ config: loadConfig({}), storage, logger });
+  const list = createSuppressionList({ storage, logger });
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => { req.auth = { name: 'ops', role: 'operator' }; next(); });
+  app.use('/suppressions', createSuppressionsRouter({ storage, retention, list, logger }));
+  const server = await new Promise((resolve) => { const s = app.listen(0, () => resolve(s)); });
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  const call = async (method, path, body) => {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/suppressions${path}`, {
+      method, headers: { 'content-type': 'application/json' }, body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: res.status === 204 ? null : await res.json() };
+  };
+
+  // A unique service number picks up its service number from the stored result
+  const added = await call('POST', '', { unique_service_no: '110011001', reason: 'removal request' });
+  assert.strictEqual(added.status, 201);
+  assert.strictEqual(added.body.suppression.service_no, '1213 1');
+  assert.strictEqual(added.body.suppression.added_by, 'ops');
+  assert.deepStrictEqual(added.body.erased, { results: 1, bill_history: 1 });
+  assert.deepStrictEqual((await storage.rows('tgspdcl_automation_data')).map((row) => row.service_no), ['1213 002']);
+  const [audit] = await storage.rows('purge_audit');
+  assert.strictEqual(audit.action, 'erasure');
+  assert.strictEqual(audit.details.reason, 'removal request');
+  assert.strictEqual(list.hasServiceNo('1213 001'), true);
+
+  assert.strictEqual((await call('POST', '', { service_no: '1213 001' })).status, 409);
+  assert.strictEqual((await call('POST', '', { service_no: 'x' })).status, 400);
+
+  // Without its zero padding a service number still names the stored consumer
+  const unpadded = await call('POST', '', { service_no: '1213 2' });
+  assert.strictEqual(unpadded.status, 201);
+  assert.deepStrictEqual(unpadded.body.erased, { results: 1, bill_history: 0 });
+  assert.deepStrictEqual(await storage.rows('tgspdcl_automation_data'), []);
+  assert.strictEqual(list.hasServiceNo('1213 002'), true);
+  assert.strictEqual(list.hasServiceNo('1213 0002'), true);
+  assert.strictEqual(list.hasServiceNo('1213 020'), false);
+  assert.strictEqual((await call('POST', '', { service_no: '1213 0002' })).status, 409);
+  assert.strictEqual((await call('GET', '')).body.count, 2);
+
+  assert.strictEqual((await call('DELETE', `/${added.body.suppression.id}`)).status, 204);
+  assert.strictEqual((await call('DELETE', `/${added.body.suppression.id}`)).status, 404);
+  assert.strictEqual(list.hasServiceNo('1213 001'), false);
+});